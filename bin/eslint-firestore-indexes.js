@@ -0,0 +1,18 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview eslint-firestore-indexes command line entry point
+ * @author Q42
+ */
+'use strict';
+
+const { run } = require('../lib/cli');
+
+run(process.argv.slice(2)).then(
+  (exitCode) => {
+    process.exitCode = exitCode;
+  },
+  (error) => {
+    console.error(error.message);
+    process.exitCode = 2;
+  }
+);
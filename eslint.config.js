@@ -4,7 +4,7 @@
 module.exports = [
   {
     files: ['**/*.js'],
-    ignores: ['node_modules/**', 'examples/**'],
+    ignores: ['node_modules/**', 'examples/**', 'tests/fixtures/**'],
     languageOptions: {
       ecmaVersion: 2020,
       sourceType: 'commonjs',
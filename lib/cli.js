@@ -0,0 +1,372 @@
+/**
+ * @fileoverview Command line interface to compare indexes.json with the queries in a source tree
+ * @author Q42
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { collectQueries } = require('./utils/collect-queries');
+const { formatDiff } = require('./utils/diff');
+const {
+  buildFieldOverride,
+  buildIndexDefinition,
+  findDisabledSingleFieldIndex,
+  findIndex,
+  findUnusedIndexes,
+  isSingleFieldQuery,
+} = require('./utils/index-matching');
+const { addIndexes, parseIndexesFile } = require('./utils/indexes-file');
+const { REPORT_FORMATS, buildInventory, formatInventory } = require('./utils/query-report');
+const { DEFAULT_DATABASE, findFirebaseConfig, getIndexesPaths } = require('./utils/firebase-config');
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+const USAGE = `Usage: eslint-firestore-indexes <command> [options] [paths...]
+
+Scan the Firestore queries in the given files or directories
+(default: current directory) and compare them to the indexes file.
+
+Commands:
+  sync                  Add the composite indexes the queries need to the indexes file
+  unused                List composite indexes that no query needs, exit with code 1 if any
+  report                Print every query with the index that serves it, or the index it misses
+
+Options:
+  -i, --indexes <path>  Path to the indexes file (default: the database's indexes file
+                        in firebase.json, or indexes.json)
+  -d, --database <id>   Only compare the queries on this named database
+                        (default: the default database)
+      --check           sync: don't write; print a diff and exit with code 1 if indexes
+                        or field overrides are missing
+  -f, --format <name>   report: output format, json or sarif (default: json)
+  -h, --help            Show this help
+`;
+
+/**
+ * Exit codes
+ */
+const EXIT_OK = 0;
+const EXIT_MISSING_INDEXES = 1;
+const EXIT_UNUSED_INDEXES = 1;
+const EXIT_USAGE = 2;
+const EXIT_INVALID_INDEXES_FILE = 2;
+
+/**
+ * Work out which indexes file to compare the queries with
+ * @param {Object} options - Parsed command line options
+ * @param {string} cwd - Working directory
+ * @returns {string} Absolute path of the indexes file
+ * @throws {Error} When firebase.json declares indexes files, but none for the database
+ */
+function resolveIndexesPath(options, cwd) {
+  if (options.indexes) {
+    return path.resolve(cwd, options.indexes);
+  }
+
+  const firebaseConfig = findFirebaseConfig(cwd);
+  const indexesPaths = firebaseConfig ? getIndexesPaths(firebaseConfig.configPath, firebaseConfig.config) : new Map();
+  if (indexesPaths.size === 0) {
+    return path.resolve(cwd, 'indexes.json');
+  }
+  if (!indexesPaths.has(options.database)) {
+    throw new Error(`${path.relative(cwd, firebaseConfig.configPath)} has no indexes file for database "${options.database}"`);
+  }
+  return indexesPaths.get(options.database);
+}
+
+/**
+ * Read an indexes file
+ * @param {string} fullPath - Absolute path
+ * @returns {string|null} File content, or null if the file doesn't exist
+ */
+function readIndexesFile(fullPath) {
+  try {
+    return fs.readFileSync(fullPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Parse an indexes file, reporting syntax and schema errors
+ * @param {string} content - File content
+ * @param {string} relativePath - Path shown in errors
+ * @param {Object} stderr - Stream for errors
+ * @returns {Object|null} Parsed file, or null if it is invalid
+ */
+function parseIndexes(content, relativePath, stderr) {
+  const { indexes, error } = parseIndexesFile(content);
+  if (error && error.type === 'syntax') {
+    stderr.write(`${relativePath}:${error.line}:${error.column}: ${error.message}\n`);
+  } else if (error) {
+    stderr.write(`${relativePath}: does not match the Firebase index schema: ${error.message}\n`);
+  }
+  return indexes;
+}
+
+/**
+ * Describe an index for console output, e.g. `orders (status ASC, createdAt DESC)`
+ * @param {Object} index - Index definition
+ * @returns {string}
+ */
+function formatIndex(index) {
+  const fields = (index.fields || []).map(field => {
+    if (field.arrayConfig) {
+      return `${field.fieldPath} ${field.arrayConfig}`;
+    }
+    return `${field.fieldPath} ${field.order === 'DESCENDING' ? 'DESC' : 'ASC'}`;
+  });
+  return `${index.collectionGroup || index.collectionId} (${fields.join(', ')})`;
+}
+
+/**
+ * Collect the queries on a database in the given paths, reporting files that could not be parsed
+ * @param {Array<string>} paths - Files or directories to scan
+ * @param {string} database - Database id
+ * @param {Object} io - Working directory and output streams
+ * @returns {Promise<Array>} Collected queries
+ */
+async function scan(paths, database, { cwd, stderr }) {
+  const { queries, errors } = await collectQueries(paths.length > 0 ? paths : ['.'], { cwd });
+  for (const { filePath, message } of errors) {
+    stderr.write(`Skipped ${path.relative(cwd, filePath)}: ${message}\n`);
+  }
+  return queries.filter(query => query.database === database);
+}
+
+/**
+ * Work out which composite indexes the collected queries are missing
+ * Each added index is taken into account for the queries after it, so queries
+ * that share an index only add it once. Queries in files where the rule's mergePolicy
+ * is forbid get a composite index even when index merging could serve them.
+ * Queries on a single field can't use a composite index; when their single-field index
+ * is disabled they get the field override to add instead, one per field.
+ * @param {Object} indexes - Parsed indexes file
+ * @param {Array} queries - Collected queries
+ * @returns {{missing: Array, fieldOverrides: Array<{query: Object, fieldOverride: Object}>}} Index
+ *   definitions to add, and the field overrides queries need
+ */
+function findMissingIndexes(indexes, queries) {
+  const known = { ...indexes, indexes: [...(indexes.indexes || [])], fieldOverrides: [...(indexes.fieldOverrides || [])] };
+  const missing = [];
+  const fieldOverrides = new Map();
+
+  for (const query of queries) {
+    const { collection, queryScope, queryFields, unresolvedFields, mergePolicy } = query;
+    // Part of a query doesn't tell which index the whole query needs
+    if (unresolvedFields.length > 0) {
+      continue;
+    }
+    const served = findIndex(known, collection, queryFields, queryScope);
+    if (served && !(served.type === 'index-merging' && mergePolicy === 'forbid')) {
+      continue;
+    }
+    if (isSingleFieldQuery(queryFields)) {
+      const disabled = findDisabledSingleFieldIndex(known, collection, queryFields, queryScope);
+      if (disabled) {
+        // Later queries on the field extend the same override
+        const fieldOverride = buildFieldOverride(known, collection, disabled, queryScope);
+        const key = `${collection}:${fieldOverride.fieldPath}`;
+        known.fieldOverrides = [
+          ...known.fieldOverrides.filter(other => other.collectionGroup !== collection || other.fieldPath !== fieldOverride.fieldPath),
+          fieldOverride,
+        ];
+        fieldOverrides.set(key, { query: fieldOverrides.has(key) ? fieldOverrides.get(key).query : query, fieldOverride });
+      }
+      continue;
+    }
+    const index = buildIndexDefinition(collection, queryFields, queryScope);
+    known.indexes.push(index);
+    missing.push(index);
+  }
+
+  return { missing, fieldOverrides: [...fieldOverrides.values()] };
+}
+
+/**
+ * The sync command
+ * @param {Object} options - Parsed command line options
+ * @param {Array<string>} paths - Files or directories to scan
+ * @param {Object} io - Working directory and output streams
+ * @returns {Promise<number>} Exit code
+ */
+async function sync(options, paths, { cwd, stdout, stderr }) {
+  const indexesPath = path.resolve(cwd, options.indexes);
+  const relativePath = path.relative(cwd, indexesPath);
+  const content = readIndexesFile(indexesPath);
+  const indexes = content ? parseIndexes(content, relativePath, stderr) : { indexes: [] };
+  if (!indexes) {
+    return EXIT_INVALID_INDEXES_FILE;
+  }
+  const queries = await scan(paths, options.database, { cwd, stderr });
+
+  const { missing, fieldOverrides } = findMissingIndexes(indexes, queries);
+  for (const { query, fieldOverride } of fieldOverrides) {
+    const location = `${path.relative(cwd, query.filePath)}:${query.line}`;
+    stderr.write(
+      `${location}: query on collection "${query.collection}" needs a single-field index on "${fieldOverride.fieldPath}", ` +
+      `add this field override to ${relativePath}: ${JSON.stringify(fieldOverride)}\n`
+    );
+  }
+
+  // Field overrides aren't added to the file, but --check still fails on them
+  if (missing.length === 0 && fieldOverrides.length > 0) {
+    stdout.write(`${relativePath} has every composite index, but is missing ${fieldOverrides.length} field override(s), see above\n`);
+    return options.check ? EXIT_MISSING_INDEXES : EXIT_OK;
+  }
+
+  if (missing.length === 0) {
+    stdout.write(`${relativePath} is up to date (${queries.length} queries checked)\n`);
+    return EXIT_OK;
+  }
+
+  const updated = addIndexes(content, missing);
+
+  if (options.check) {
+    stdout.write(formatDiff(content || '', updated, relativePath));
+    stdout.write(`\n${relativePath} is missing ${missing.length} composite index(es). Run without --check to add them.\n`);
+    return EXIT_MISSING_INDEXES;
+  }
+
+  fs.writeFileSync(indexesPath, updated);
+  stdout.write(`Added ${missing.length} composite index(es) to ${relativePath}\n`);
+  return EXIT_OK;
+}
+
+/**
+ * The unused command
+ * @param {Object} options - Parsed command line options
+ * @param {Array<string>} paths - Files or directories to scan
+ * @param {Object} io - Working directory and output streams
+ * @returns {Promise<number>} Exit code
+ */
+async function unused(options, paths, { cwd, stdout, stderr }) {
+  const indexesPath = path.resolve(cwd, options.indexes);
+  const relativePath = path.relative(cwd, indexesPath);
+  const content = readIndexesFile(indexesPath);
+  if (content === null) {
+    stderr.write(`Indexes file ${relativePath} not found\n`);
+    return EXIT_USAGE;
+  }
+
+  const indexes = parseIndexes(content, relativePath, stderr);
+  if (!indexes) {
+    return EXIT_INVALID_INDEXES_FILE;
+  }
+  const queries = await scan(paths, options.database, { cwd, stderr });
+  const unusedIndexes = findUnusedIndexes(indexes, queries);
+
+  if (unusedIndexes.length === 0) {
+    stdout.write(`All ${(indexes.indexes || []).length} composite indexes in ${relativePath} are used (${queries.length} queries checked)\n`);
+    return EXIT_OK;
+  }
+
+  stdout.write(`${relativePath} has ${unusedIndexes.length} composite index(es) that no query needs:\n`);
+  for (const { position, index, coveredBy } of unusedIndexes) {
+    const reason = coveredBy === -1
+      ? 'no query uses this index'
+      : `covered by index #${coveredBy + 1} ${formatIndex(indexes.indexes[coveredBy])}`;
+    stdout.write(`  #${position + 1} ${formatIndex(index)}: ${reason}\n`);
+  }
+  return EXIT_UNUSED_INDEXES;
+}
+
+/**
+ * The report command
+ * @param {Object} options - Parsed command line options
+ * @param {Array<string>} paths - Files or directories to scan
+ * @param {Object} io - Working directory and output streams
+ * @returns {Promise<number>} Exit code
+ */
+async function report(options, paths, { cwd, stdout, stderr }) {
+  if (!REPORT_FORMATS.includes(options.format)) {
+    stderr.write(`Unknown report format "${options.format}", expected ${REPORT_FORMATS.join(' or ')}\n`);
+    return EXIT_USAGE;
+  }
+
+  const indexesPath = path.resolve(cwd, options.indexes);
+  const content = readIndexesFile(indexesPath);
+  const indexes = content ? parseIndexes(content, path.relative(cwd, indexesPath), stderr) : { indexes: [] };
+  if (!indexes) {
+    return EXIT_INVALID_INDEXES_FILE;
+  }
+  const queries = await scan(paths, options.database, { cwd, stderr });
+
+  stdout.write(formatInventory(buildInventory(queries, indexes, cwd), options.format));
+  return EXIT_OK;
+}
+
+/**
+ * Available commands
+ */
+const COMMANDS = {
+  sync,
+  unused,
+  report,
+};
+
+//------------------------------------------------------------------------------
+// Public API
+//------------------------------------------------------------------------------
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments, without the node and script paths
+ * @param {Object} [io]
+ * @param {string} [io.cwd] - Working directory
+ * @param {Object} [io.stdout] - Stream for regular output
+ * @param {Object} [io.stderr] - Stream for errors
+ * @returns {Promise<number>} Exit code
+ */
+async function run(argv, { cwd = process.cwd(), stdout = process.stdout, stderr = process.stderr } = {}) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        indexes: { type: 'string', short: 'i' },
+        database: { type: 'string', short: 'd', default: DEFAULT_DATABASE },
+        check: { type: 'boolean', default: false },
+        format: { type: 'string', short: 'f', default: 'json' },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    });
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  const [command, ...paths] = parsed.positionals;
+
+  if (parsed.values.help) {
+    stdout.write(USAGE);
+    return EXIT_OK;
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(COMMANDS, command)) {
+    stderr.write(`${command ? `Unknown command "${command}"` : 'Missing command'}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  let indexesPath;
+  try {
+    indexesPath = resolveIndexesPath(parsed.values, cwd);
+  } catch (error) {
+    stderr.write(`${error.message}\n`);
+    return EXIT_USAGE;
+  }
+
+  return COMMANDS[command]({ ...parsed.values, indexes: indexesPath }, paths, { cwd, stdout, stderr });
+}
+
+module.exports = {
+  run,
+};
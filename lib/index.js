@@ -9,6 +9,9 @@
 //------------------------------------------------------------------------------
 
 const firestoreIndexes = require('./rules/firestore-indexes');
+const firestoreQueryValidity = require('./rules/firestore-query-validity');
+const validIndexesFile = require('./rules/valid-indexes-file');
+const indexesJson = require('./processors/indexes-json');
 
 //------------------------------------------------------------------------------
 // Plugin Definition
@@ -17,12 +20,18 @@ const firestoreIndexes = require('./rules/firestore-indexes');
 module.exports = {
   rules: {
     'firestore-indexes': firestoreIndexes,
+    'firestore-query-validity': firestoreQueryValidity,
+    'valid-indexes-file': validIndexesFile,
+  },
+  processors: {
+    'indexes-json': indexesJson,
   },
   configs: {
     recommended: {
       plugins: ['eslint-firestore-indexes'],
       rules: {
         'eslint-firestore-indexes/firestore-indexes': 'error',
+        'eslint-firestore-indexes/firestore-query-validity': 'error',
       },
     },
   },
@@ -0,0 +1,50 @@
+/**
+ * @fileoverview Processor that lets ESLint parse Firestore indexes files as JavaScript
+ * @author Q42
+ */
+'use strict';
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+/**
+ * JSON is a JavaScript expression; wrapping it in parentheses on lines of their own
+ * makes the file a single expression statement, without changing any columns
+ */
+const PREFIX = '(\n';
+const SUFFIX = '\n)';
+
+//------------------------------------------------------------------------------
+// Processor Definition
+//------------------------------------------------------------------------------
+
+module.exports = {
+  meta: {
+    name: 'indexes-json',
+  },
+
+  /**
+   * Wrap the JSON so it parses as JavaScript
+   * @param {string} text - Content of the indexes file
+   * @returns {Array<string>}
+   */
+  preprocess(text) {
+    return [`${PREFIX}${text}${SUFFIX}`];
+  },
+
+  /**
+   * Map message locations back to the JSON file
+   * @param {Array<Array<Object>>} messages - Messages of each block
+   * @returns {Array<Object>}
+   */
+  postprocess(messages) {
+    return messages.flat().map(message => ({
+      ...message,
+      line: Math.max(1, message.line - 1),
+      ...(message.endLine ? { endLine: Math.max(1, message.endLine - 1) } : {}),
+    }));
+  },
+
+  supportsAutofix: false,
+};
@@ -6,6 +6,136 @@
 
 const fs = require('fs');
 const path = require('path');
+const {
+  buildIndexDefinition,
+  findDisabledSingleFieldIndex,
+  findIndex,
+  isSingleFieldQuery,
+  precompileIndexes,
+} = require('../utils/index-matching');
+const { findFirebaseConfig, getIndexesPaths } = require('../utils/firebase-config');
+const { parseIndexesFile } = require('../utils/indexes-file');
+const {
+  analyzerOptionsSchema,
+  createQueryAnalyzer,
+  findInvalidCollectionResolver,
+  getExecutedQuery,
+} = require('../utils/query-analysis');
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+/**
+ * Parsed indexes files by absolute path, shared by every linted file
+ * An entry is reused until the file's modification time or size changes, so
+ * long-running ESLint processes (IDEs, --cache runs) pick up edits.
+ */
+const indexesFileCache = new Map();
+
+/**
+ * Read and parse an indexes file
+ * @param {string} fullPath - Absolute path
+ * @returns {{indexes: Object|null, error: {messageId: string, data: Object}|null}}
+ *   The parsed file, or the problem to report when it can't be used
+ */
+function parseIndexes(fullPath) {
+  let content;
+  try {
+    content = fs.readFileSync(fullPath, 'utf8');
+  } catch (error) {
+    return { indexes: null, error: { messageId: 'invalidIndexFile', data: { error: error.message } } };
+  }
+
+  const { indexes, error } = parseIndexesFile(content);
+  if (error && error.type === 'syntax') {
+    return {
+      indexes: null,
+      error: { messageId: 'indexFileSyntaxError', data: { error: error.message, line: error.line, column: error.column } },
+    };
+  }
+  if (error) {
+    return { indexes: null, error: { messageId: 'indexFileSchemaError', data: { error: error.message } } };
+  }
+  return { indexes: precompileIndexes(indexes), error: null };
+}
+
+/**
+ * Get an indexes file from the cache, reading it if it changed since it was cached
+ * @param {string} fullPath - Absolute path
+ * @param {boolean} allowMissing - Treat a missing file as a file without indexes
+ * @returns {{indexes: Object|null, error: {messageId: string, data: Object}|null}}
+ *   The parsed file, or the problem to report when it can't be used
+ */
+function readIndexes(fullPath, allowMissing) {
+  let stats;
+  try {
+    stats = fs.statSync(fullPath);
+  } catch (error) {
+    indexesFileCache.delete(fullPath);
+    if (error.code !== 'ENOENT') {
+      return { indexes: null, error: { messageId: 'invalidIndexFile', data: { error: error.message } } };
+    }
+    return allowMissing
+      ? { indexes: { indexes: [] }, error: null }
+      : { indexes: null, error: { messageId: 'indexFileNotFound', data: {} } };
+  }
+
+  const cached = indexesFileCache.get(fullPath);
+  if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+    return cached.result;
+  }
+
+  const result = parseIndexes(fullPath);
+  indexesFileCache.set(fullPath, { mtimeMs: stats.mtimeMs, size: stats.size, result });
+  return result;
+}
+
+/**
+ * Path of the nearest firebase.json (or null) by directory of the linted files, shared by
+ * every linted file; a directory keeps the file found for it as long as that file exists
+ */
+const firebaseConfigPaths = new Map();
+
+/**
+ * Parsed firebase.json files by absolute path, reused until the file's modification time or size changes
+ */
+const firebaseConfigCache = new Map();
+
+/**
+ * Get the nearest firebase.json from the cache, looking it up if the directory wasn't
+ * seen before or reading it again if it changed since it was cached
+ * @param {string} startDir - Directory of the linted file
+ * @returns {{configPath: string, config: Object}|null} The parsed file, or null if there is none
+ * @throws {Error} When firebase.json exists but isn't valid JSON
+ */
+function readFirebaseConfig(startDir) {
+  const configPath = firebaseConfigPaths.get(startDir);
+  if (configPath === null) {
+    return null;
+  }
+
+  if (configPath) {
+    const cached = firebaseConfigCache.get(configPath);
+    let stats = null;
+    try {
+      stats = fs.statSync(configPath);
+    } catch (error) {
+      firebaseConfigCache.delete(configPath);
+    }
+    if (cached && stats && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+      return cached.firebaseConfig;
+    }
+  }
+
+  const firebaseConfig = findFirebaseConfig(startDir);
+  firebaseConfigPaths.set(startDir, firebaseConfig && firebaseConfig.configPath);
+  if (firebaseConfig) {
+    const stats = fs.statSync(firebaseConfig.configPath);
+    firebaseConfigCache.set(firebaseConfig.configPath, { mtimeMs: stats.mtimeMs, size: stats.size, firebaseConfig });
+  }
+  return firebaseConfig;
+}
 
 //------------------------------------------------------------------------------
 // Rule Definition
@@ -30,376 +160,259 @@ module.exports = {
         properties: {
           indexesPath: {
             type: 'string',
-            default: 'indexes.json',
+          },
+          ...analyzerOptionsSchema,
+          allowMissingIndexesFile: {
+            type: 'boolean',
+            default: false,
+          },
+          mergePolicy: {
+            enum: ['allow', 'warn', 'forbid'],
+            default: 'allow',
           },
         },
         additionalProperties: false,
       },
     ],
     messages: {
-      missingIndex: 'Firestore query on collection "{{collection}}" with filters {{filters}} is missing a required index. Add it to {{indexesPath}}',
+      missingIndex: 'Firestore query on collection "{{collection}}" with filters {{filters}} is missing a required index. Add it to {{indexesPath}}: {{index}}',
+      missingIndexForVariant: 'Firestore query on collection "{{collection}}" ({{variant}}) with filters {{filters}} is missing a required index. Add it to {{indexesPath}}: {{index}}',
+      wrongIndexDirection: 'Firestore query on collection "{{collection}}" with filters {{filters}} has an index in {{indexesPath}} with the same fields, but not with the orderBy directions the query needs. Add it with the right directions: {{index}}',
+      wrongIndexDirectionForVariant: 'Firestore query on collection "{{collection}}" ({{variant}}) with filters {{filters}} has an index in {{indexesPath}} with the same fields, but not with the orderBy directions the query needs. Add it with the right directions: {{index}}',
+      wrongVectorDimension: 'Firestore vector query on collection "{{collection}}" searches "{{field}}" with a {{dimension}}-dimensional vector, but its vector index in {{indexesPath}} has a different dimension. Add it with the right dimension: {{index}}',
+      wrongVectorDimensionForVariant: 'Firestore vector query on collection "{{collection}}" ({{variant}}) searches "{{field}}" with a {{dimension}}-dimensional vector, but its vector index in {{indexesPath}} has a different dimension. Add it with the right dimension: {{index}}',
+      indexMerging: 'Firestore query on collection "{{collection}}" with filters {{filters}} relies on index merging, which can be much slower than a composite index. Add one to {{indexesPath}}: {{index}}',
+      indexMergingForVariant: 'Firestore query on collection "{{collection}}" ({{variant}}) with filters {{filters}} relies on index merging, which can be much slower than a composite index. Add one to {{indexesPath}}: {{index}}',
+      singleFieldIndexDisabled: 'Firestore query on collection "{{collection}}" needs the {{indexType}} single-field index on "{{field}}", which is disabled by fieldOverrides in {{indexesPath}}',
+      singleFieldIndexDisabledForVariant: 'Firestore query on collection "{{collection}}" ({{variant}}) needs the {{indexType}} single-field index on "{{field}}", which is disabled by fieldOverrides in {{indexesPath}}',
+      collectionGroupFieldIndexMissing: 'Firestore collection group query on "{{collection}}" needs a {{indexType}} single-field index on "{{field}}" with queryScope COLLECTION_GROUP. Enable it in the fieldOverrides of {{indexesPath}}',
+      collectionGroupFieldIndexMissingForVariant: 'Firestore collection group query on "{{collection}}" ({{variant}}) needs a {{indexType}} single-field index on "{{field}}" with queryScope COLLECTION_GROUP. Enable it in the fieldOverrides of {{indexesPath}}',
+      unanalyzableField: 'Could not work out the field {{field}} of this Firestore query on collection "{{collection}}", so its indexes are not checked. Use a string, a constant, an enum member or a FieldPath',
+      unknownDatabase: 'Firestore query on collection "{{collection}}" uses database "{{database}}", which has no indexes file in firebase.json',
       invalidIndexFile: 'Could not load indexes file at {{indexesPath}}: {{error}}',
+      indexFileNotFound: 'Indexes file {{indexesPath}} not found, queries are not checked. Create it, or set allowMissingIndexesFile to treat a missing file as empty',
+      indexFileSyntaxError: 'Indexes file {{indexesPath}} is not valid JSON: {{error}} at line {{line}}, column {{column}}',
+      indexFileSchemaError: 'Indexes file {{indexesPath}} does not match the Firebase index schema: {{error}}',
+      invalidFirebaseConfig: 'Could not read firebase.json: {{error}}',
+      invalidCollectionResolver: 'Invalid collectionResolvers pattern {{key}}: {{error}}',
+      missingTypeInformation: 'typeAware needs type information, but this file was parsed without it, so its queries are checked without types. Lint it with @typescript-eslint/parser and parserOptions.projectService or parserOptions.project, or turn typeAware off for it',
     },
   },
 
   create(context) {
     const options = context.options[0] || {};
-    const indexesPath = options.indexesPath || 'indexes.json';
-    
-    let indexes = null;
-    
-    // Load indexes configuration
-    try {
-      const cwd = context.getCwd ? context.getCwd() : process.cwd();
-      const fullPath = path.resolve(cwd, indexesPath);
-      
-      // Try to read the file directly without checking existence first
-      try {
-        const content = fs.readFileSync(fullPath, 'utf8');
-        indexes = JSON.parse(content);
-      } catch (readError) {
-        // File doesn't exist or can't be read, use empty indexes
-        indexes = { indexes: [] };
-      }
-    } catch (error) {
+    const mergePolicy = options.mergePolicy || 'allow';
+    const sourceCode = context.sourceCode || context.getSourceCode();
+
+    // An invalid collectionResolvers pattern would leave queries on its helpers unchecked
+    const invalidResolver = findInvalidCollectionResolver(options.collectionResolvers);
+    if (invalidResolver) {
       context.report({
         loc: { line: 1, column: 0 },
-        messageId: 'invalidIndexFile',
-        data: {
-          indexesPath,
-          error: error.message,
-        },
+        messageId: 'invalidCollectionResolver',
+        data: invalidResolver,
       });
       return {};
     }
 
-    /**
-     * Check if query can use index merging
-     * Index merging works when:
-     * - All filters are equality (==) filters, OR
-     * - All filters except one are equality, and there's one inequality on a single field, OR
-     * - All filters except one are equality, and there's one orderBy
-     * 
-     * Index merging does NOT work for:
-     * - Multiple orderBy clauses
-     * - Multiple inequality filters on different fields
-     * - Inequality filter and orderBy on different fields
-     * - Array-contains queries (these require specific indexes)
-     * 
-     * @param {Array} queryFields - Array of field objects with field name and operator
-     * @returns {boolean}
-     */
-    function canUseIndexMerging(queryFields) {
-      const equalityFilters = queryFields.filter(f => f.operator === '==');
-      const inequalityFilters = queryFields.filter(f => 
-        f.operator === '<' || f.operator === '<=' || f.operator === '>' || f.operator === '>='
-      );
-      const orderByFields = queryFields.filter(f => f.operator === 'orderBy');
-      const arrayContainsFilters = queryFields.filter(f => 
-        f.operator === 'array-contains' || f.operator === 'array-contains-any'
-      );
-
-      // Array-contains queries cannot use index merging
-      if (arrayContainsFilters.length > 0) {
-        return false;
-      }
-
-      // Multiple orderBy clauses cannot use index merging
-      if (orderByFields.length > 1) {
-        return false;
-      }
+    const cwd = context.cwd || (context.getCwd ? context.getCwd() : process.cwd());
 
-      // Multiple inequality filters - need to check if they're on the same field
-      if (inequalityFilters.length > 1) {
-        const inequalityFieldNames = inequalityFilters.map(f => f.field);
-        const uniqueFields = new Set(inequalityFieldNames);
-        // Only allow if all inequalities are on the same field (e.g., price >= 10 AND price <= 100)
-        if (uniqueFields.size > 1) {
-          return false;
-        }
-        // If all on same field and no orderBy, this can work with index merging
-        if (orderByFields.length === 0) {
-          return true;
+    // Without an explicit indexesPath, use the indexes file of each database in firebase.json
+    let indexesPaths = null;
+    if (!options.indexesPath) {
+      try {
+        const firebaseConfig = readFirebaseConfig(path.dirname(path.resolve(cwd, context.filename)));
+        const declared = firebaseConfig && getIndexesPaths(firebaseConfig.configPath, firebaseConfig.config);
+        if (declared && declared.size > 0) {
+          indexesPaths = declared;
         }
-        // If there's an orderBy, it must be on the same field as the inequality
-        const inequalityField = inequalityFieldNames[0];
-        const orderByField = orderByFields[0].field;
-        return inequalityField === orderByField;
-      }
-
-      // One inequality + one orderBy - they must be on the same field for index merging
-      if (inequalityFilters.length === 1 && orderByFields.length === 1) {
-        const inequalityField = inequalityFilters[0].field;
-        const orderByField = orderByFields[0].field;
-        return inequalityField === orderByField;
-      }
-
-      // All equality filters - can use index merging
-      if (queryFields.length === equalityFilters.length) {
-        return true;
-      }
-
-      // Equality filters + one inequality (no orderBy) - can use index merging
-      if (inequalityFilters.length === 1 && orderByFields.length === 0) {
-        return true;
-      }
-      
-      // Equality filters + one orderBy (no inequality) - can use index merging
-      if (orderByFields.length === 1 && inequalityFilters.length === 0) {
-        return true;
+      } catch (error) {
+        context.report({
+          loc: { line: 1, column: 0 },
+          messageId: 'invalidFirebaseConfig',
+          data: {
+            error: error.message,
+          },
+        });
+        return {};
       }
-
-      return false;
     }
+    const defaultIndexesPath = options.indexesPath || 'indexes.json';
+
+    // Indexes files loaded so far, by absolute path
+    const loadedIndexes = new Map();
 
     /**
-     * Check if an index exists for the given query
-     * @param {string} collection - Collection name
-     * @param {Array} queryFields - Array of field objects with field name and operator
-     * @returns {boolean}
+     * Get the indexes a database's queries are checked against
+     * @param {string} database - Database id
+     * @returns {{indexesPath: string, indexes: Object|null, error: Object|null, reported: boolean}|null}
+     *   null when firebase.json declares no indexes file for the database
      */
-    function hasIndex(collection, queryFields) {
-      if (!indexes || !indexes.indexes) {
-        return false;
+    function getIndexes(database) {
+      const fullPath = indexesPaths ? indexesPaths.get(database) : path.resolve(cwd, defaultIndexesPath);
+      if (!fullPath) {
+        return null;
       }
 
-      // Check if query can use index merging
-      if (canUseIndexMerging(queryFields)) {
-        // For index merging, Firestore automatically creates single-field indexes
-        // for all fields, so these queries will work
-        return true;
+      if (!loadedIndexes.has(fullPath)) {
+        loadedIndexes.set(fullPath, {
+          indexesPath: indexesPaths ? path.relative(cwd, fullPath) : defaultIndexesPath,
+          ...readIndexes(fullPath, options.allowMissingIndexesFile),
+          reported: false,
+        });
       }
+      return loadedIndexes.get(fullPath);
+    }
 
-      // Check for composite indexes
-      const result = indexes.indexes.some(index => {
-        if (index.collectionGroup !== collection && index.collectionId !== collection) {
-          return false;
-        }
+    const { analyzeCallChain, missingTypeInformation } = createQueryAnalyzer(sourceCode, options, {
+      filename: context.physicalFilename || context.filename,
+      languageOptions: context.languageOptions,
+    });
 
-        // Check if index fields match query fields
-        const indexFields = index.fields || [];
-        
-        // For simple queries, just check if fields are included
-        if (queryFields.length === 0) {
-          return true; // No special index needed for simple queries
-        }
+    // Fall back to syntactic analysis, e.g. for JavaScript files in a TypeScript project
+    if (missingTypeInformation) {
+      context.report({
+        loc: { line: 1, column: 0 },
+        messageId: 'missingTypeInformation',
+      });
+    }
 
-        // Filter out __name__ field from index fields as it's automatically added by Firestore
-        const relevantIndexFields = indexFields.filter(f => f.fieldPath !== '__name__');
-        
-        // Separate query fields by type
-        const equalityQueryFields = queryFields.filter(f => f.operator === '==');
-        const inequalityQueryFields = queryFields.filter(f => 
-          f.operator === '<' || f.operator === '<=' || f.operator === '>' || f.operator === '>='
-        );
-        const orderByQueryFields = queryFields.filter(f => f.operator === 'orderBy');
-        const arrayContainsQueryFields = queryFields.filter(f => 
-          f.operator === 'array-contains' || f.operator === 'array-contains-any'
-        );
-
-        // Firestore index matching rules:
-        // 1. Index must be a prefix match - we need to match from the beginning
-        // 2. Equality and array-contains filters can be in any order at the beginning
-        // 3. After equality/array-contains filters, inequality/orderBy fields must match exactly
-        // 4. Array-contains fields need arrayConfig: "CONTAINS"
-
-        // Check for array-contains queries - they need special arrayConfig
-        for (const queryField of arrayContainsQueryFields) {
-          const matchingIndexField = relevantIndexFields.find(idxf => idxf.fieldPath === queryField.field);
-          if (!matchingIndexField || matchingIndexField.arrayConfig !== 'CONTAINS') {
-            return false;
-          }
-        }
+    // Track query chains we've already reported
+    const reportedQueries = new Set();
 
-        // Build expected field sequence for query
-        // Equality and array-contains filters (in query order, but could match in any order in index)
-        const equalityFieldNames = [...equalityQueryFields.map(f => f.field), ...arrayContainsQueryFields.map(f => f.field)];
-        // Inequality fields (must match in order)
-        const inequalityFieldNames = inequalityQueryFields.map(f => f.field);
-        // OrderBy fields (must match in order)
-        const orderByFieldNames = orderByQueryFields.map(f => f.field);
-
-        // Get index field names
-        const indexFieldNames = relevantIndexFields.map(f => f.fieldPath);
-
-        // Check if index matches the query with prefix matching
-        // The index must start with all the query fields (in the right order)
-        
-        // First, check if all query fields are present in the index
-        const allQueryFields = [...equalityFieldNames, ...inequalityFieldNames, ...orderByFieldNames];
-        if (!allQueryFields.every(qf => indexFieldNames.includes(qf))) {
-          return false;
-        }
+    return {
+      // Detect queries by looking at .get(), .onSnapshot(), getDocs(), etc calls
+      CallExpression(node) {
+        const queryNode = getExecutedQuery(node);
 
-        // Now check prefix matching:
-        // 1. All equality/array-contains fields from query must be present in the index
-        //    (can be in any order, but must come before inequality/orderBy fields)
-        // 2. After all equality/array-contains fields in the index, 
-        //    inequality/orderBy fields from the query must match in order
-
-        // Find where equality fields end in the index
-        let indexPos = 0;
-        const indexEqualityFields = new Set();
-        
-        // Collect all equality/array-contains fields at the start of the index
-        while (indexPos < indexFieldNames.length) {
-          const indexField = indexFieldNames[indexPos];
-          const indexFieldDef = relevantIndexFields[indexPos];
-          
-          // Check if this is an equality-type field (has no order or has arrayConfig)
-          // In Firestore, equality fields don't have a specific direction requirement
-          // and array-contains fields have arrayConfig set
-          const isEqualityField = indexFieldDef.arrayConfig === 'CONTAINS' || 
-                                   equalityFieldNames.includes(indexField);
+        // Look for terminal query methods
+        if (queryNode) {
+          // Analyze the entire chain leading to this call, one variant per possible query shape
+          const variants = analyzeCallChain(queryNode);
+          const reportedFields = new Set();
           
-          if (isEqualityField) {
-            indexEqualityFields.add(indexField);
-            indexPos++;
-          } else {
-            // We've reached the inequality/orderBy section
-            break;
-          }
-        }
-
-        // Check that all equality fields from query are present in the index equality section
-        for (const eqField of equalityFieldNames) {
-          if (!indexEqualityFields.has(eqField)) {
-            return false;
-          }
-        }
+          for (const { collection, queryScope, database, queryFields, unresolvedFields, conditions } of variants) {
+            // Report fields that can't be worked out once per query, instead of checking part of it
+            if (collection && unresolvedFields.length > 0) {
+              for (const field of unresolvedFields.filter(text => !reportedFields.has(text))) {
+                reportedFields.add(field);
+                context.report({
+                  node,
+                  messageId: 'unanalyzableField',
+                  data: {
+                    collection,
+                    field,
+                  },
+                });
+              }
+              continue;
+            }
 
-        // Match inequality/orderBy fields - they must be in order after equality fields
-        const rangeFields = [...inequalityFieldNames, ...orderByFieldNames];
-        for (const rangeField of rangeFields) {
-          if (indexPos >= indexFieldNames.length || indexFieldNames[indexPos] !== rangeField) {
-            return false;
-          }
-          indexPos++;
-        }
-        
-        return true;
-      });
-      
-      // Uncomment for debugging:
-      // if (!result) {
-      //   console.log('No index found for', collection, queryFields.map(f => f.field));
-      //   console.log('Available indexes:', indexes.indexes.map(idx => ({
-      //     coll: idx.collectionGroup,
-      //     fields: idx.fields.map(f => f.fieldPath)
-      //   })));
-      // }
-      
-      return result;
-    }
+            // Skip queries on a database that is set dynamically, we can't tell which indexes apply
+            if (!collection || queryFields.length === 0 || database === null) {
+              continue;
+            }
 
-    /**
-     * Extract query information from entire call chain
-     * Walks backward from any node to find collection and all query operations
-     */
-    function analyzeCallChain(node) {
-      const queryFields = [];
-      let collection = null;
-      let currentNode = node;
-
-      // Walk backwards through the call chain
-      while (currentNode && currentNode.type === 'CallExpression') {
-        if (currentNode.callee && currentNode.callee.type === 'MemberExpression') {
-          const methodName = currentNode.callee.property.name;
-          
-          // Skip methods that don't affect index requirements
-          if (methodName === 'limit' || methodName === 'offset' || methodName === 'startAt' || 
-              methodName === 'startAfter' || methodName === 'endAt' || methodName === 'endBefore') {
-            // These methods don't affect index requirements, continue walking the chain
-            currentNode = currentNode.callee.object;
-            continue;
-          }
-          
-          if (methodName === 'where' && currentNode.arguments.length >= 2) {
-            const fieldArg = currentNode.arguments[0];
-            const operatorArg = currentNode.arguments[1];
-            
-            if (fieldArg.type === 'Literal') {
-              queryFields.unshift({
-                field: fieldArg.value,
-                operator: operatorArg.type === 'Literal' ? operatorArg.value : 'unknown',
-              });
+            // Create a unique key for this query to avoid duplicate reports
+            const queryKey = `${database}:${collection}:${queryScope}:${queryFields.map(f => `${f.field}:${f.operator}:${f.order || ''}`).join(',')}`;
+            if (reportedQueries.has(queryKey)) {
+              continue;
             }
-          } else if (methodName === 'orderBy' && currentNode.arguments.length >= 1) {
-            const fieldArg = currentNode.arguments[0];
-            const directionArg = currentNode.arguments[1];
-            
-            if (fieldArg.type === 'Literal') {
-              const direction = directionArg && directionArg.type === 'Literal' 
-                ? (directionArg.value === 'desc' ? 'DESCENDING' : 'ASCENDING')
-                : 'ASCENDING';
-              
-              queryFields.unshift({
-                field: fieldArg.value,
-                operator: 'orderBy',
-                order: direction,
+
+            const databaseIndexes = getIndexes(database);
+            if (!databaseIndexes) {
+              reportedQueries.add(queryKey);
+              context.report({
+                node,
+                messageId: 'unknownDatabase',
+                data: {
+                  collection,
+                  database,
+                },
               });
+              continue;
             }
-          } else if ((methodName === 'collection' || methodName === 'collectionGroup') && currentNode.arguments.length > 0) {
-            if (currentNode.arguments[0].type === 'Literal') {
-              collection = currentNode.arguments[0].value;
+
+            const { indexesPath, indexes, error } = databaseIndexes;
+            if (error) {
+              // Report an unusable indexes file once, at the first query that needs it
+              if (!databaseIndexes.reported) {
+                databaseIndexes.reported = true;
+                context.report({
+                  node,
+                  messageId: error.messageId,
+                  data: {
+                    ...error.data,
+                    indexesPath,
+                  },
+                });
+              }
+              continue;
             }
-            break; // Stop at collection()
-          } else if (methodName.endsWith('CollRef') || methodName.endsWith('CollectionRef') || methodName.endsWith('Ref')) {
-            // Custom collection reference functions like templateCollRef(), passportCollRef()
-            // Extract collection name from method name (e.g., templateCollRef -> templates)
-            const collectionName = methodName
-              .replace(/CollRef$/, '')
-              .replace(/CollectionRef$/, '')
-              .replace(/Ref$/, '');
-            
-            // Convert camelCase to lowercase and add 's' if not already plural
-            collection = collectionName.charAt(0).toLowerCase() + collectionName.slice(1);
-            if (!collection.endsWith('s')) {
-              collection += 's';
+
+            // With mergePolicy warn or forbid, index merging doesn't count as an index
+            const served = findIndex(indexes, collection, queryFields, queryScope);
+            const merged = served !== null && served.type === 'index-merging';
+            const filters = queryFields.map(f => `${f.field} (${f.operator})`).join(', ');
+            if (merged && mergePolicy === 'warn') {
+              reportedQueries.add(queryKey);
+              context.report({
+                node,
+                messageId: conditions.length > 0 ? 'indexMergingForVariant' : 'indexMerging',
+                data: {
+                  collection,
+                  filters,
+                  indexesPath,
+                  variant: conditions.join(', '),
+                  index: JSON.stringify(buildIndexDefinition(collection, queryFields, queryScope)),
+                },
+              });
+              continue;
             }
-            break; // Stop at custom collection reference
-          }
-          
-          // Move to the object being called on
-          currentNode = currentNode.callee.object;
-        } else {
-          break;
-        }
-      }
 
-      return { collection, queryFields };
-    }
+            if (served === null || (merged && mergePolicy === 'forbid')) {
+              reportedQueries.add(queryKey);
 
-    // Track query chains we've already reported
-    const reportedQueries = new Set();
+              // A query on a single field can't use a composite index, only its single-field index
+              const disabled = isSingleFieldQuery(queryFields) && findDisabledSingleFieldIndex(indexes, collection, queryFields, queryScope);
+              if (disabled) {
+                const { field, indexType } = disabled;
+                // Collection group queries have no single-field indexes unless fieldOverrides enables them
+                const messageId = queryScope === 'COLLECTION_GROUP' ? 'collectionGroupFieldIndexMissing' : 'singleFieldIndexDisabled';
+                context.report({
+                  node,
+                  messageId: conditions.length > 0 ? `${messageId}ForVariant` : messageId,
+                  data: {
+                    collection,
+                    field,
+                    indexType,
+                    indexesPath,
+                    variant: conditions.join(', '),
+                  },
+                });
+                continue;
+              }
 
-    return {
-      // Detect queries by looking at .get(), .onSnapshot(), etc calls
-      CallExpression(node) {
-        // Look for terminal query methods
-        if (
-          node.callee.type === 'MemberExpression' &&
-          (node.callee.property.name === 'get' || 
-           node.callee.property.name === 'onSnapshot' ||
-           node.callee.property.name === 'count')
-        ) {
-          // Analyze the entire chain leading to this call
-          const { collection, queryFields } = analyzeCallChain(node.callee.object);
-          
-          if (collection && (queryFields.length > 1 || queryFields.some(f => f.operator === 'orderBy'))) {
-            // Create a unique key for this query to avoid duplicate reports
-            const queryKey = `${collection}:${queryFields.map(f => `${f.field}:${f.operator}`).join(',')}`;
-            
-            if (!reportedQueries.has(queryKey) && !hasIndex(collection, queryFields)) {
-              reportedQueries.add(queryKey);
-              const filters = queryFields.map(f => `${f.field} (${f.operator})`).join(', ');
+              // Call out indexes that only differ in direction or vector dimension, they are easy to overlook
+              const vectorField = queryFields.find(f => f.operator === 'findNearest');
+              const hasComposite = (matchOptions) => {
+                const found = findIndex(indexes, collection, queryFields, queryScope, matchOptions);
+                return found !== null && found.type === 'composite';
+              };
+              const wrongDirection = hasComposite({ ignoreDirection: true });
+              const wrongDimension = vectorField && hasComposite({ ignoreDimension: true });
+              const messageId = wrongDimension ? 'wrongVectorDimension' : (wrongDirection ? 'wrongIndexDirection' : 'missingIndex');
               context.report({
                 node,
-                messageId: 'missingIndex',
+                messageId: conditions.length > 0 ? `${messageId}ForVariant` : messageId,
                 data: {
                   collection,
                   filters,
+                  field: vectorField && vectorField.field,
+                  dimension: vectorField && vectorField.dimension,
                   indexesPath,
+                  variant: conditions.join(', '),
+                  index: JSON.stringify(buildIndexDefinition(collection, queryFields, queryScope)),
                 },
               });
             }
@@ -0,0 +1,195 @@
+/**
+ * @fileoverview Report Firestore queries that Firestore rejects whatever indexes exist
+ * @author Q42
+ */
+'use strict';
+
+const { getFilterKind } = require('../utils/index-matching');
+const {
+  analyzerOptionsSchema,
+  createQueryAnalyzer,
+  findInvalidCollectionResolver,
+  getExecutedQuery,
+} = require('../utils/query-analysis');
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+/**
+ * Maximum number of disjunctions in the disjunctive normal form of a query, where each
+ * value of an in or array-contains-any filter counts as a disjunction
+ */
+const MAX_DISJUNCTIONS = 30;
+
+/**
+ * Maximum number of values in a not-in filter
+ */
+const MAX_NOT_IN_VALUES = 10;
+
+/**
+ * Find the constraints a query variant violates
+ * @param {{queryFields: Array, limitToLast: boolean, disjunct: string|null, disjunctions: number}} variant - Query variant
+ * @returns {Array<{messageId: string, data: Object}>}
+ */
+function findViolations({ queryFields, limitToLast, disjunct, disjunctions }) {
+  const violations = [];
+  const filters = queryFields.filter(f => !['orderBy', 'vector', 'aggregate'].includes(getFilterKind(f.operator)));
+  const withOperator = (...operators) => filters.filter(f => operators.includes(f.operator));
+
+  if (withOperator('array-contains', 'array-contains-any').length > 1) {
+    violations.push({ messageId: 'multipleArrayContains', data: {} });
+  }
+
+  if (withOperator('!=', 'not-in').length > 1) {
+    violations.push({ messageId: 'multipleNotEqual', data: {} });
+  }
+
+  const notIn = withOperator('not-in');
+  if (notIn.length > 0) {
+    const combined = withOperator('in', 'array-contains-any')[0];
+    if (combined || disjunct !== null) {
+      violations.push({ messageId: 'notInCombined', data: { operator: combined ? combined.operator : 'or' } });
+    }
+
+    const tooMany = notIn.find(f => f.valueCount > MAX_NOT_IN_VALUES);
+    if (tooMany) {
+      violations.push({
+        messageId: 'tooManyNotInValues',
+        data: { field: tooMany.field, count: tooMany.valueCount, max: MAX_NOT_IN_VALUES },
+      });
+    }
+  }
+
+  if (disjunctions > MAX_DISJUNCTIONS) {
+    violations.push({ messageId: 'tooManyDisjunctions', data: { count: disjunctions, max: MAX_DISJUNCTIONS } });
+  }
+
+  if (limitToLast && !queryFields.some(f => f.operator === 'orderBy')) {
+    violations.push({ messageId: 'limitToLastWithoutOrderBy', data: {} });
+  }
+
+  const equalityField = filters.find(f =>
+    getFilterKind(f.operator) === 'equality' &&
+    filters.some(other => other.field === f.field && getFilterKind(other.operator) === 'inequality')
+  );
+  if (equalityField) {
+    violations.push({ messageId: 'equalityAndInequality', data: { field: equalityField.field } });
+  }
+
+  return violations;
+}
+
+//------------------------------------------------------------------------------
+// Rule Definition
+//------------------------------------------------------------------------------
+
+/**
+ * @type {import('eslint').Rule.RuleModule}
+ */
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description: 'Report Firestore queries that Firestore rejects whatever indexes exist',
+      category: 'Possible Errors',
+      recommended: true,
+      url: 'https://github.com/Q42/eslint-firestore-indexes',
+    },
+    fixable: null,
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          ...analyzerOptionsSchema,
+        },
+        additionalProperties: false,
+      },
+    ],
+    messages: {
+      multipleArrayContains: 'Firestore query on collection "{{collection}}" has more than one array-contains or array-contains-any filter, which Firestore rejects',
+      multipleArrayContainsForVariant: 'Firestore query on collection "{{collection}}" ({{variant}}) has more than one array-contains or array-contains-any filter, which Firestore rejects',
+      multipleNotEqual: 'Firestore query on collection "{{collection}}" has more than one != or not-in filter, which Firestore rejects',
+      multipleNotEqualForVariant: 'Firestore query on collection "{{collection}}" ({{variant}}) has more than one != or not-in filter, which Firestore rejects',
+      notInCombined: 'Firestore query on collection "{{collection}}" combines not-in with {{operator}}, which Firestore rejects',
+      notInCombinedForVariant: 'Firestore query on collection "{{collection}}" ({{variant}}) combines not-in with {{operator}}, which Firestore rejects',
+      tooManyNotInValues: 'Firestore query on collection "{{collection}}" has a not-in filter on "{{field}}" with {{count}} values, Firestore allows at most {{max}}',
+      tooManyNotInValuesForVariant: 'Firestore query on collection "{{collection}}" ({{variant}}) has a not-in filter on "{{field}}" with {{count}} values, Firestore allows at most {{max}}',
+      tooManyDisjunctions: 'Firestore query on collection "{{collection}}" has {{count}} disjunctions from its or, in and array-contains-any filters, Firestore allows at most {{max}}',
+      tooManyDisjunctionsForVariant: 'Firestore query on collection "{{collection}}" ({{variant}}) has {{count}} disjunctions from its or, in and array-contains-any filters, Firestore allows at most {{max}}',
+      limitToLastWithoutOrderBy: 'Firestore query on collection "{{collection}}" uses limitToLast() without orderBy(), which Firestore rejects',
+      limitToLastWithoutOrderByForVariant: 'Firestore query on collection "{{collection}}" ({{variant}}) uses limitToLast() without orderBy(), which Firestore rejects',
+      equalityAndInequality: 'Firestore query on collection "{{collection}}" has both an equality and an inequality filter on "{{field}}", which Firestore rejects',
+      equalityAndInequalityForVariant: 'Firestore query on collection "{{collection}}" ({{variant}}) has both an equality and an inequality filter on "{{field}}", which Firestore rejects',
+      invalidCollectionResolver: 'Invalid collectionResolvers pattern {{key}}: {{error}}',
+      missingTypeInformation: 'typeAware needs type information, but this file was parsed without it, so its queries are checked without types. Lint it with @typescript-eslint/parser and parserOptions.projectService or parserOptions.project, or turn typeAware off for it',
+    },
+  },
+
+  create(context) {
+    const options = context.options[0] || {};
+    const sourceCode = context.sourceCode || context.getSourceCode();
+
+    // An invalid collectionResolvers pattern would leave queries on its helpers unchecked
+    const invalidResolver = findInvalidCollectionResolver(options.collectionResolvers);
+    if (invalidResolver) {
+      context.report({
+        loc: { line: 1, column: 0 },
+        messageId: 'invalidCollectionResolver',
+        data: invalidResolver,
+      });
+      return {};
+    }
+
+    const { analyzeCallChain, missingTypeInformation } = createQueryAnalyzer(sourceCode, options, {
+      filename: context.physicalFilename || context.filename,
+      languageOptions: context.languageOptions,
+    });
+
+    // Fall back to syntactic analysis, e.g. for JavaScript files in a TypeScript project
+    if (missingTypeInformation) {
+      context.report({
+        loc: { line: 1, column: 0 },
+        messageId: 'missingTypeInformation',
+      });
+    }
+
+    return {
+      CallExpression(node) {
+        const queryNode = getExecutedQuery(node);
+        if (!queryNode) {
+          return;
+        }
+
+        const variants = analyzeCallChain(queryNode).filter(variant => variant.collection);
+
+        // Report each problem once per executed query, for the first variant that has it;
+        // without a variant label when every variant has it
+        const violations = new Map();
+        for (const variant of variants) {
+          for (const violation of findViolations(variant)) {
+            const key = `${violation.messageId}:${JSON.stringify(violation.data)}`;
+            if (violations.has(key)) {
+              violations.get(key).count++;
+            } else {
+              violations.set(key, { ...violation, variant, count: 1 });
+            }
+          }
+        }
+
+        for (const { messageId, data, variant, count } of violations.values()) {
+          const conditions = count === variants.length ? [] : variant.conditions;
+          context.report({
+            node,
+            messageId: conditions.length > 0 ? `${messageId}ForVariant` : messageId,
+            data: {
+              ...data,
+              collection: variant.collection,
+              variant: conditions.join(', '),
+            },
+          });
+        }
+      },
+    };
+  },
+};
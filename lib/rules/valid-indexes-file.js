@@ -0,0 +1,246 @@
+/**
+ * @fileoverview Catch Firestore indexes file mistakes before `firebase deploy` does
+ * @author Q42
+ */
+'use strict';
+
+const { findCoveringIndex, getExplicitFields } = require('../utils/index-matching');
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+/**
+ * Default maximum number of composite indexes per database
+ * Projects without billing enabled are limited to 200.
+ */
+const DEFAULT_INDEX_LIMIT = 200;
+
+/**
+ * Share of the index limit from which the index count is reported
+ */
+const INDEX_LIMIT_WARNING_RATIO = 0.9;
+
+/**
+ * Values Firestore accepts for enum properties in an indexes file
+ */
+const ALLOWED_VALUES = {
+  queryScope: ['COLLECTION', 'COLLECTION_GROUP'],
+  density: ['SPARSE_ALL', 'SPARSE_ANY', 'DENSE'],
+  order: ['ASCENDING', 'DESCENDING'],
+  arrayConfig: ['CONTAINS'],
+};
+
+/**
+ * Find a property of an object literal by key
+ * @param {Object} node - ObjectExpression node
+ * @param {string} key - Property key
+ * @returns {Object|null} Property node
+ */
+function getProperty(node, key) {
+  return node.properties.find(property =>
+    property.type === 'Property' && (property.key.value === key || property.key.name === key)
+  ) || null;
+}
+
+/**
+ * Get the object literals in an array property
+ * @param {Object} node - ObjectExpression node
+ * @param {string} key - Property key
+ * @returns {Array<Object>} ObjectExpression nodes
+ */
+function getObjectElements(node, key) {
+  const property = getProperty(node, key);
+  if (!property || property.value.type !== 'ArrayExpression') {
+    return [];
+  }
+  return property.value.elements.filter(element => element && element.type === 'ObjectExpression');
+}
+
+/**
+ * Convert a JSON literal node into its value
+ * @param {Object} node - Expression node
+ * @returns {*}
+ */
+function getValue(node) {
+  switch (node.type) {
+    case 'Literal':
+      return node.value;
+    case 'UnaryExpression':
+      return node.operator === '-' ? -getValue(node.argument) : getValue(node.argument);
+    case 'ArrayExpression':
+      return node.elements.map(element => (element ? getValue(element) : null));
+    case 'ObjectExpression':
+      return Object.fromEntries(node.properties
+        .filter(property => property.type === 'Property')
+        .map(property => [property.key.type === 'Literal' ? property.key.value : property.key.name, getValue(property.value)]));
+    default:
+      return undefined;
+  }
+}
+
+//------------------------------------------------------------------------------
+// Rule Definition
+//------------------------------------------------------------------------------
+
+/**
+ * @type {import('eslint').Rule.RuleModule}
+ */
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description: 'Catch Firestore indexes file mistakes before `firebase deploy` does',
+      category: 'Possible Errors',
+      recommended: true,
+      url: 'https://github.com/Q42/eslint-firestore-indexes',
+    },
+    fixable: null,
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          indexLimit: {
+            type: 'integer',
+            minimum: 1,
+            default: DEFAULT_INDEX_LIMIT,
+          },
+        },
+        additionalProperties: false,
+      },
+    ],
+    messages: {
+      duplicateIndex: 'This index on "{{collection}}" is identical to index #{{other}}',
+      redundantIndex: 'This index on "{{collection}}" is covered by index #{{other}}, which starts with the same fields',
+      orderAndArrayConfig: 'Field "{{field}}" has both order and arrayConfig, an index field can only have one of them',
+      singleFieldIndex: 'Composite index on "{{collection}}" has a single field, which Firestore rejects. Use its single-field index, configured in fieldOverrides, instead',
+      nameNotLast: '"__name__" must be the last field of an index',
+      unknownValue: 'Unknown {{property}} "{{value}}", expected one of {{expected}}',
+      nearIndexLimit: 'The file has {{count}} composite indexes, close to the limit of {{limit}} per database',
+      tooManyIndexes: 'The file has {{count}} composite indexes, more than the limit of {{limit}} per database',
+    },
+  },
+
+  create(context) {
+    const options = context.options[0] || {};
+    const indexLimit = options.indexLimit || DEFAULT_INDEX_LIMIT;
+
+    /**
+     * Report a property whose value isn't one Firestore accepts
+     * @param {Object} node - ObjectExpression node
+     * @param {string} key - Property key, one of ALLOWED_VALUES
+     */
+    function checkAllowedValue(node, key) {
+      const property = getProperty(node, key);
+      if (property && !ALLOWED_VALUES[key].includes(getValue(property.value))) {
+        context.report({
+          node: property.value,
+          messageId: 'unknownValue',
+          data: {
+            property: key,
+            value: String(getValue(property.value)),
+            expected: ALLOWED_VALUES[key].join(', '),
+          },
+        });
+      }
+    }
+
+    /**
+     * Check the fields of an index
+     * @param {Array<Object>} fieldNodes - ObjectExpression nodes of the fields
+     */
+    function checkFields(fieldNodes) {
+      fieldNodes.forEach((fieldNode, i) => {
+        checkAllowedValue(fieldNode, 'order');
+        checkAllowedValue(fieldNode, 'arrayConfig');
+
+        const field = getValue(fieldNode);
+        if (field.order && field.arrayConfig) {
+          context.report({
+            node: fieldNode,
+            messageId: 'orderAndArrayConfig',
+            data: {
+              field: field.fieldPath,
+            },
+          });
+        }
+        if (field.fieldPath === '__name__' && i !== fieldNodes.length - 1) {
+          context.report({
+            node: fieldNode,
+            messageId: 'nameNotLast',
+          });
+        }
+      });
+    }
+
+    return {
+      Program(program) {
+        const statement = program.body[0];
+        if (!statement || statement.type !== 'ExpressionStatement' || statement.expression.type !== 'ObjectExpression') {
+          return;
+        }
+
+        const root = statement.expression;
+        const indexNodes = getObjectElements(root, 'indexes');
+        const indexList = indexNodes.map(getValue);
+
+        indexNodes.forEach((indexNode, position) => {
+          const index = indexList[position];
+          const collection = index.collectionGroup || index.collectionId;
+          const fieldNodes = getObjectElements(indexNode, 'fields');
+
+          checkAllowedValue(indexNode, 'queryScope');
+          checkAllowedValue(indexNode, 'density');
+          checkFields(fieldNodes);
+
+          // Vector indexes may have the vector field only; Firestore has no single-field vector indexes
+          const fields = fieldNodes.map(getValue);
+          const isVectorIndex = fields.some(field => field.vectorConfig);
+          if (!isVectorIndex && fields.filter(field => field.fieldPath !== '__name__').length < 2) {
+            context.report({
+              node: indexNode,
+              messageId: 'singleFieldIndex',
+              data: {
+                collection,
+              },
+            });
+            return;
+          }
+
+          const coveredBy = findCoveringIndex(indexList, position);
+          if (coveredBy !== -1) {
+            const duplicate = getExplicitFields(indexList[coveredBy]).length === getExplicitFields(index).length;
+            context.report({
+              node: indexNode,
+              messageId: duplicate ? 'duplicateIndex' : 'redundantIndex',
+              data: {
+                collection,
+                other: coveredBy + 1,
+              },
+            });
+          }
+        });
+
+        for (const override of getObjectElements(root, 'fieldOverrides')) {
+          for (const overrideIndex of getObjectElements(override, 'indexes')) {
+            checkAllowedValue(overrideIndex, 'queryScope');
+            checkAllowedValue(overrideIndex, 'order');
+            checkAllowedValue(overrideIndex, 'arrayConfig');
+          }
+        }
+
+        const indexesProperty = getProperty(root, 'indexes');
+        if (indexesProperty && indexNodes.length >= indexLimit * INDEX_LIMIT_WARNING_RATIO) {
+          context.report({
+            node: indexesProperty.key,
+            messageId: indexNodes.length > indexLimit ? 'tooManyIndexes' : 'nearIndexLimit',
+            data: {
+              count: indexNodes.length,
+              limit: indexLimit,
+            },
+          });
+        }
+      },
+    };
+  },
+};
@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Collect the Firestore queries in a source tree using the rule's query extraction
+ * @author Q42
+ */
+'use strict';
+
+const { ESLint } = require('eslint');
+const { createQueryAnalyzer, findInvalidCollectionResolver, getExecutedQuery } = require('./query-analysis');
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+const COLLECTOR_PLUGIN = 'firestore-indexes-collector';
+const COLLECTOR_RULE = 'collect-queries';
+const RULE_NAME = 'firestore-indexes';
+
+/**
+ * Create a plugin with a rule that records every executed query instead of reporting it
+ * The queries are analyzed after linting, once the rule options for each file are known.
+ * @param {Array} files - Array the source code and executed query nodes of each file are pushed to
+ * @returns {Object} ESLint plugin
+ */
+function createCollectorPlugin(files) {
+  return {
+    rules: {
+      [COLLECTOR_RULE]: {
+        meta: {
+          type: 'problem',
+          schema: [],
+        },
+        create(context) {
+          const file = {
+            filePath: context.filename,
+            sourceCode: context.sourceCode || context.getSourceCode(),
+            languageOptions: context.languageOptions,
+            executions: [],
+          };
+          files.push(file);
+
+          return {
+            CallExpression(node) {
+              const queryNode = getExecutedQuery(node);
+              if (queryNode) {
+                file.executions.push({ node, queryNode });
+              }
+            },
+          };
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Find the options the project passes to the firestore-indexes rule
+ * The rule may be registered under any plugin name, so any rule id ending in
+ * `firestore-indexes` is accepted.
+ * @param {Object} [config] - Calculated configuration of a file
+ * @returns {Object} Rule options, empty when the rule isn't configured
+ */
+function findRuleOptions(config) {
+  const rules = (config && config.rules) || {};
+  for (const [ruleId, entry] of Object.entries(rules)) {
+    if ((ruleId === RULE_NAME || ruleId.endsWith(`/${RULE_NAME}`)) && Array.isArray(entry) && entry[1]) {
+      return entry[1];
+    }
+  }
+  return {};
+}
+
+//------------------------------------------------------------------------------
+// Public API
+//------------------------------------------------------------------------------
+
+/**
+ * Lint files with the project's ESLint configuration and collect every Firestore query
+ * The project configuration, if any, is used so files are parsed the same way as when
+ * linting (e.g. with @typescript-eslint/parser) and analyzed with the options of the
+ * firestore-indexes rule that apply to them; only the collector rule runs.
+ * @param {Array<string>} patterns - Files, directories or globs to scan
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Working directory
+ * @returns {Promise<{queries: Array, errors: Array<{filePath: string, message: string}>}>}
+ */
+async function collectQueries(patterns, { cwd = process.cwd() } = {}) {
+  const files = [];
+  const ruleId = `${COLLECTOR_PLUGIN}/${COLLECTOR_RULE}`;
+
+  // Fall back to ESLint's defaults when the project has no config file
+  const configFile = await new ESLint({ cwd }).findConfigFile();
+
+  const eslint = new ESLint({
+    cwd,
+    overrideConfigFile: configFile ? undefined : true,
+    overrideConfig: {
+      plugins: {
+        [COLLECTOR_PLUGIN]: createCollectorPlugin(files),
+      },
+      rules: {
+        [ruleId]: 'warn',
+      },
+    },
+    ruleFilter: ({ ruleId: id }) => id === ruleId,
+  });
+
+  const results = await eslint.lintFiles(patterns);
+  const errors = results.flatMap(result => result.messages
+    .filter(message => message.fatal)
+    .map(message => ({ filePath: result.filePath, message: message.message })));
+
+  // Analyze with the same collection resolvers the rule uses for each file
+  const queries = [];
+  const analyzers = new Map();
+  for (const { filePath, sourceCode, languageOptions, executions } of files) {
+    if (executions.length === 0) {
+      continue;
+    }
+
+    const options = findRuleOptions(await eslint.calculateConfigForFile(filePath));
+    const invalidResolver = findInvalidCollectionResolver(options.collectionResolvers);
+    if (invalidResolver) {
+      errors.push({ filePath, message: `Invalid collectionResolvers pattern ${invalidResolver.key}: ${invalidResolver.error}` });
+      continue;
+    }
+    const { analyzeCallChain } = createQueryAnalyzer(sourceCode, options, { filename: filePath, languageOptions, analyzers });
+    for (const { node, queryNode } of executions) {
+      for (const variant of analyzeCallChain(queryNode)) {
+        if (variant.collection) {
+          queries.push({
+            filePath,
+            line: node.loc.start.line,
+            column: node.loc.start.column + 1,
+            mergePolicy: options.mergePolicy || 'allow',
+            ...variant,
+          });
+        }
+      }
+    }
+  }
+
+  return { queries, errors };
+}
+
+module.exports = {
+  collectQueries,
+};
@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Minimal line-based unified diff, used by the CLI's --check mode
+ * @author Q42
+ */
+'use strict';
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+const CONTEXT_LINES = 3;
+
+/**
+ * Compute the edit script between two arrays of lines (Myers' O(ND) algorithm)
+ * @param {Array<string>} a - Old lines
+ * @param {Array<string>} b - New lines
+ * @returns {Array<{type: string, line: string}>} Operations, type is ' ', '-' or '+'
+ */
+function diffLines(a, b) {
+  const max = a.length + b.length;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    // Keep only the diagonals the next step can read from
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= a.length && y >= b.length) {
+        return backtrack(trace, a, b);
+      }
+    }
+  }
+
+  return [];
+}
+
+/**
+ * Walk the Myers trace backwards to build the edit script
+ * @param {Array<Int32Array>} trace - Diagonal endpoints before each step
+ * @param {Array<string>} a - Old lines
+ * @param {Array<string>} b - New lines
+ * @returns {Array<{type: string, line: string}>}
+ */
+function backtrack(trace, a, b) {
+  const operations = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const values = trace[d];
+    const get = (k) => values[k + d + 1];
+    const k = x - y;
+    const previousK = k === -d || (k !== d && get(k - 1) < get(k + 1)) ? k + 1 : k - 1;
+    const previousX = get(previousK);
+    const previousY = previousX - previousK;
+
+    while (x > previousX && y > previousY) {
+      operations.push({ type: ' ', line: a[--x] });
+      y--;
+    }
+    if (d > 0) {
+      if (x === previousX) {
+        operations.push({ type: '+', line: b[--y] });
+      } else {
+        operations.push({ type: '-', line: a[--x] });
+      }
+    }
+  }
+
+  return operations.reverse();
+}
+
+//------------------------------------------------------------------------------
+// Public API
+//------------------------------------------------------------------------------
+
+/**
+ * Format a unified diff between two texts
+ * @param {string} oldText - Original content
+ * @param {string} newText - Updated content
+ * @param {string} fileName - File name shown in the diff header
+ * @returns {string} The diff, or an empty string when the texts are equal
+ */
+function formatDiff(oldText, newText, fileName) {
+  const operations = diffLines(oldText.split('\n'), newText.split('\n'));
+
+  // Line numbers (1-based) of each operation in the old and new text
+  let oldLine = 1;
+  let newLine = 1;
+  const numbered = operations.map(operation => {
+    const entry = { ...operation, oldLine, newLine };
+    if (operation.type !== '+') {
+      oldLine++;
+    }
+    if (operation.type !== '-') {
+      newLine++;
+    }
+    return entry;
+  });
+
+  // Group changes that are close together into hunks
+  const hunks = [];
+  numbered.forEach((operation, i) => {
+    if (operation.type === ' ') {
+      return;
+    }
+    const start = Math.max(0, i - CONTEXT_LINES);
+    const end = Math.min(numbered.length, i + CONTEXT_LINES + 1);
+    const last = hunks[hunks.length - 1];
+    if (last && start <= last.end) {
+      last.end = end;
+    } else {
+      hunks.push({ start, end });
+    }
+  });
+
+  if (hunks.length === 0) {
+    return '';
+  }
+
+  const lines = [`--- ${fileName}`, `+++ ${fileName}`];
+  for (const { start, end } of hunks) {
+    const hunk = numbered.slice(start, end);
+    const oldCount = hunk.filter(operation => operation.type !== '+').length;
+    const newCount = hunk.filter(operation => operation.type !== '-').length;
+    lines.push(`@@ -${hunk[0].oldLine},${oldCount} +${hunk[0].newLine},${newCount} @@`);
+    lines.push(...hunk.map(operation => `${operation.type}${operation.line}`));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  formatDiff,
+};
@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Locate the Firestore indexes files declared in firebase.json
+ * @author Q42
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+const FIREBASE_CONFIG_FILE = 'firebase.json';
+
+/**
+ * Id of the database used when a query doesn't name one
+ */
+const DEFAULT_DATABASE = '(default)';
+
+//------------------------------------------------------------------------------
+// Public API
+//------------------------------------------------------------------------------
+
+/**
+ * Find the nearest firebase.json, walking up from a directory
+ * @param {string} startDir - Directory to start from, e.g. the directory of the linted file
+ * @returns {{configPath: string, config: Object}|null} The parsed file, or null if there is none
+ * @throws {Error} When firebase.json exists but isn't valid JSON
+ */
+function findFirebaseConfig(startDir) {
+  let dir = path.resolve(startDir);
+
+  for (;;) {
+    const configPath = path.join(dir, FIREBASE_CONFIG_FILE);
+    let content = null;
+    try {
+      content = fs.readFileSync(configPath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+        throw error;
+      }
+    }
+
+    if (content !== null) {
+      try {
+        return { configPath, config: JSON.parse(content) };
+      } catch (error) {
+        throw new Error(`${configPath}: ${error.message}`);
+      }
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Get the indexes file of each Firestore database declared in firebase.json
+ * Supports both the single database form, `"firestore": {"indexes": "..."}`, and the
+ * array form used for named databases, `"firestore": [{"database": "...", "indexes": "..."}]`.
+ * @param {string} configPath - Absolute path of firebase.json; indexes paths are relative to it
+ * @param {Object} config - Parsed firebase.json
+ * @returns {Map<string, string>} Absolute indexes file path by database id
+ */
+function getIndexesPaths(configPath, config) {
+  const firestore = config && config.firestore;
+  const entries = Array.isArray(firestore) ? firestore : [firestore];
+  const indexesPaths = new Map();
+
+  for (const entry of entries) {
+    if (entry && typeof entry.indexes === 'string') {
+      indexesPaths.set(entry.database || DEFAULT_DATABASE, path.resolve(path.dirname(configPath), entry.indexes));
+    }
+  }
+
+  return indexesPaths;
+}
+
+module.exports = {
+  DEFAULT_DATABASE,
+  findFirebaseConfig,
+  getIndexesPaths,
+};
@@ -0,0 +1,159 @@
+/**
+ * @fileoverview Recognize Firestore query types with the TypeScript type checker
+ * @author Q42
+ */
+'use strict';
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+/**
+ * Types of the admin and client SDKs that can be executed as a query
+ */
+const QUERY_TYPE_NAMES = [
+  'AggregateQuery',
+  'CollectionGroup',
+  'CollectionReference',
+  'Query',
+  'VectorQuery',
+];
+
+/**
+ * Modules that declare the Firestore types: the admin SDK re-exports those of
+ * @google-cloud/firestore, the client SDK those of @firebase/firestore
+ */
+const FIRESTORE_MODULES = [
+  '@google-cloud/firestore',
+  '@firebase/firestore',
+  'firebase/firestore',
+  'firebase-admin/firestore',
+];
+
+/**
+ * Namespace @google-cloud/firestore declares its types in
+ */
+const FIRESTORE_NAMESPACE = 'FirebaseFirestore';
+
+/**
+ * Check whether a type declaration comes from one of the Firestore SDKs
+ * Either its file lies in a Firestore package, or it's inside a `declare module` for one
+ * (or the FirebaseFirestore namespace).
+ * @param {Object} declaration - TypeScript declaration node
+ * @returns {boolean}
+ */
+function isFirestoreDeclaration(declaration) {
+  const fileName = declaration.getSourceFile().fileName.replace(/\\/g, '/');
+  if (FIRESTORE_MODULES.some(moduleName => fileName.includes(`/node_modules/${moduleName}/`))) {
+    return true;
+  }
+
+  for (let node = declaration.parent; node; node = node.parent) {
+    const name = node.name && node.name.text;
+    if (node.body && (FIRESTORE_MODULES.includes(name) || name === FIRESTORE_NAMESPACE)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+//------------------------------------------------------------------------------
+// Public API
+//------------------------------------------------------------------------------
+
+/**
+ * Check whether a file was parsed with type information, by typescript-eslint with a project
+ * @param {import('eslint').SourceCode} sourceCode - Source code of the linted file
+ * @returns {boolean}
+ */
+function hasTypeInformation(sourceCode) {
+  const services = sourceCode.parserServices;
+  return Boolean(services && services.program && services.esTreeNodeToTSNodeMap);
+}
+
+/**
+ * Create helpers that look up Firestore types through the parser services of typescript-eslint
+ * @param {import('eslint').SourceCode} sourceCode - Source code of the linted file
+ * @returns {{isQuery: Function, getDocumentTypeName: Function}}
+ * @throws {Error} When the file wasn't parsed with type information
+ */
+function createFirestoreTypes(sourceCode) {
+  const services = sourceCode.parserServices;
+  if (!hasTypeInformation(sourceCode)) {
+    throw new Error(
+      'typeAware needs type information: lint with @typescript-eslint/parser and set parserOptions.projectService or parserOptions.project'
+    );
+  }
+
+  // typescript-eslint can only provide a program when TypeScript is installed
+  const ts = require('typescript');
+  const checker = services.program.getTypeChecker();
+
+  /**
+   * Get the type of an expression, without null and undefined
+   * @param {Object} node - ESTree expression node
+   * @returns {Array<Object>} TypeScript types, one per union member
+   */
+  function getTypes(node) {
+    const type = checker.getNonNullableType(checker.getTypeAtLocation(services.esTreeNodeToTSNodeMap.get(node)));
+    return type.isUnion() ? type.types : [type];
+  }
+
+  /**
+   * Get the name of a Firestore query type
+   * @param {Object} type - TypeScript type
+   * @returns {string|null} Type name, or null if the type isn't a Firestore query type
+   */
+  function getQueryTypeName(type) {
+    const symbol = type.getSymbol() || type.aliasSymbol;
+    if (!symbol || !QUERY_TYPE_NAMES.includes(symbol.getName())) {
+      return null;
+    }
+    return (symbol.getDeclarations() || []).some(isFirestoreDeclaration) ? symbol.getName() : null;
+  }
+
+  /**
+   * Check whether an expression is a Firestore query or collection reference
+   * @param {Object} node - ESTree expression node
+   * @returns {boolean|null} null when the type is unknown (any), e.g. without Firestore typings
+   */
+  function isQuery(node) {
+    const types = getTypes(node);
+    if (types.some(type => type.flags & (ts.TypeFlags.Any | ts.TypeFlags.Unknown))) {
+      return null;
+    }
+    return types.every(type => getQueryTypeName(type) !== null);
+  }
+
+  /**
+   * Get the name of the document type of a typed query or collection reference
+   * e.g. `Order` for an expression of type `CollectionReference<Order>`
+   * @param {Object} node - ESTree expression node
+   * @returns {{typeName: string, documentTypeName: string}|null} null when the expression isn't a
+   *   Firestore query, or its document type is DocumentData or has no name
+   */
+  function getDocumentTypeName(node) {
+    const types = getTypes(node);
+    const typeName = types.length === 1 ? getQueryTypeName(types[0]) : null;
+    if (!typeName) {
+      return null;
+    }
+
+    const type = types[0];
+    const isReference = Boolean(type.objectFlags & ts.ObjectFlags.Reference);
+    const typeArguments = type.aliasTypeArguments || (isReference ? checker.getTypeArguments(type) : []);
+    const documentType = typeArguments[0];
+    const documentSymbol = documentType && (documentType.aliasSymbol || documentType.getSymbol());
+    if (!documentSymbol || documentSymbol.getName() === 'DocumentData' || documentSymbol.getName().startsWith('__')) {
+      return null;
+    }
+    return { typeName, documentTypeName: documentSymbol.getName() };
+  }
+
+  return { isQuery, getDocumentTypeName };
+}
+
+module.exports = {
+  createFirestoreTypes,
+  hasTypeInformation,
+};
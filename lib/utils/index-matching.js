@@ -0,0 +1,763 @@
+/**
+ * @fileoverview Match Firestore query shapes against composite indexes
+ * @author Q42
+ */
+'use strict';
+
+/**
+ * Filter operators, grouped by how Firestore uses them in an index
+ * - equality: `==` and `in` (a disjunction of equalities) match in any order at the start of an index
+ * - inequality: range filters, `!=` and `not-in` (executed as ranges around the excluded values);
+ *   they implicitly order the results by their field
+ * - arrayContains: need an index field with `arrayConfig: CONTAINS`
+ * - vector: findNearest() needs a vector index, with the field as its `vectorConfig` field
+ * - aggregate: sum() and average() read the aggregated field from the index, after the filters
+ */
+const EQUALITY_OPERATORS = ['==', 'in'];
+const INEQUALITY_OPERATORS = ['<', '<=', '>', '>=', '!=', 'not-in'];
+const ARRAY_CONTAINS_OPERATORS = ['array-contains', 'array-contains-any'];
+
+/**
+ * Classify a query field by how it is served from an index
+ * @param {string} operator - Filter operator, or 'orderBy'
+ * @returns {string|null} 'equality', 'inequality', 'arrayContains', 'vector', 'aggregate', 'orderBy', or null when
+ *   the operator is not known (e.g. it is passed in a variable)
+ */
+function getFilterKind(operator) {
+  if (EQUALITY_OPERATORS.includes(operator)) {
+    return 'equality';
+  }
+  if (INEQUALITY_OPERATORS.includes(operator)) {
+    return 'inequality';
+  }
+  if (ARRAY_CONTAINS_OPERATORS.includes(operator)) {
+    return 'arrayContains';
+  }
+  if (operator === 'findNearest') {
+    return 'vector';
+  }
+  if (operator === 'sum' || operator === 'average') {
+    return 'aggregate';
+  }
+  if (operator === 'orderBy') {
+    return 'orderBy';
+  }
+  return null;
+}
+
+/**
+ * Check whether a query field filters on the document ID, e.g. `where(documentId(), 'in', ids)`
+ * Every index ends with __name__, so such a filter is served by the __name__ after the
+ * other fields of the query, never by an index field of its own
+ * @param {Object} queryField - Field object with field name and operator
+ * @returns {boolean}
+ */
+function isNameFilter(queryField) {
+  return queryField.field === '__name__' && queryField.operator !== 'orderBy';
+}
+
+/**
+ * Check if query can use index merging
+ * Index merging works when:
+ * - All filters are equality (==, in) filters, OR
+ * - All filters except one are equality, and there's one inequality on a single field, OR
+ * - All filters except one are equality, and there's one orderBy
+ * 
+ * Index merging does NOT work for:
+ * - Multiple orderBy clauses
+ * - Multiple inequality filters on different fields
+ * - Inequality filter and orderBy on different fields
+ * - Array-contains queries (these require specific indexes)
+ * - Vector queries (these require a vector index)
+ * - sum() and average() aggregations combined with filters or orderBy on other fields
+ * 
+ * @param {Array} queryFields - Array of field objects with field name and operator
+ * @returns {boolean}
+ */
+function canUseIndexMerging(queryFields) {
+  // Filters with an unknown operator can't be checked and are left out, like an orderBy
+  // on a field with an equality filter, which has no effect
+  const equalityFilters = queryFields.filter(f => getFilterKind(f.operator) === 'equality');
+  const knownFields = queryFields.filter(f =>
+    getFilterKind(f.operator) !== null &&
+    !(f.operator === 'orderBy' && equalityFilters.some(e => e.field === f.field))
+  );
+  const inequalityFilters = knownFields.filter(f => getFilterKind(f.operator) === 'inequality');
+  const orderByFields = knownFields.filter(f => f.operator === 'orderBy');
+  const arrayContainsFilters = knownFields.filter(f => getFilterKind(f.operator) === 'arrayContains');
+
+  // Array-contains and vector queries cannot use index merging
+  if (arrayContainsFilters.length > 0 || knownFields.some(f => getFilterKind(f.operator) === 'vector')) {
+    return false;
+  }
+
+  // Aggregations need their field in the same index as the filters
+  const aggregateFields = knownFields.filter(f => getFilterKind(f.operator) === 'aggregate');
+  if (aggregateFields.length > 0) {
+    return knownFields.every(f => f.field === aggregateFields[0].field);
+  }
+
+  // Multiple orderBy clauses cannot use index merging
+  if (orderByFields.length > 1) {
+    return false;
+  }
+
+  // Multiple inequality filters - need to check if they're on the same field
+  if (inequalityFilters.length > 1) {
+    const inequalityFieldNames = inequalityFilters.map(f => f.field);
+    const uniqueFields = new Set(inequalityFieldNames);
+    // Only allow if all inequalities are on the same field (e.g., price >= 10 AND price <= 100)
+    if (uniqueFields.size > 1) {
+      return false;
+    }
+    // If all on same field and no orderBy, this can work with index merging
+    if (orderByFields.length === 0) {
+      return true;
+    }
+    // If there's an orderBy, it must be on the same field as the inequality
+    const inequalityField = inequalityFieldNames[0];
+    const orderByField = orderByFields[0].field;
+    return inequalityField === orderByField;
+  }
+
+  // One inequality + one orderBy - they must be on the same field for index merging
+  if (inequalityFilters.length === 1 && orderByFields.length === 1) {
+    const inequalityField = inequalityFilters[0].field;
+    const orderByField = orderByFields[0].field;
+    return inequalityField === orderByField;
+  }
+
+  // All equality filters - can use index merging
+  if (knownFields.length === equalityFilters.length) {
+    return true;
+  }
+
+  // Equality filters + one inequality (no orderBy) - can use index merging
+  if (inequalityFilters.length === 1 && orderByFields.length === 0) {
+    return true;
+  }
+  
+  // Equality filters + one orderBy (no inequality) - can use index merging
+  if (orderByFields.length === 1 && inequalityFilters.length === 0) {
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Reverse an index field direction
+ * @param {string} order - ASCENDING or DESCENDING
+ * @returns {string}
+ */
+function reverseOrder(order) {
+  return order === 'DESCENDING' ? 'ASCENDING' : 'DESCENDING';
+}
+
+/**
+ * Check if the ordered section of an index has the directions a query needs
+ * Firestore can scan an index backwards, so an index whose directions are all
+ * reversed serves the query too. The trailing __name__ ordering is part of this:
+ * a query orders by __name__ in the direction of its last orderBy, an index in the
+ * direction of its explicit __name__ field or else its last field.
+ * @param {Array<{order: string|null}>} requiredOrders - Direction each range field needs, null if any
+ * @param {Array} matchedIndexFields - Index fields matched to the range fields
+ * @param {string|null} queryNameOrder - __name__ direction of the query, null if not checked
+ * @param {string|null} indexNameOrder - __name__ direction of the index
+ * @returns {boolean}
+ */
+function matchesDirection(requiredOrders, matchedIndexFields, queryNameOrder, indexNameOrder) {
+  return [false, true].some(reversed => {
+    const direction = (order) => (reversed ? reverseOrder(order) : order);
+    const fieldsMatch = requiredOrders.every((order, i) =>
+      order === null || direction(order) === (matchedIndexFields[i].order || 'ASCENDING')
+    );
+    return fieldsMatch && (queryNameOrder === null || direction(queryNameOrder) === indexNameOrder);
+  });
+}
+
+/**
+ * Check if a vector index can serve a query
+ * A vector index lists the pre-filter fields of the query, in any order, followed by the
+ * vector field. When the query vector is a literal its dimension must match the index.
+ * @param {Array} indexFields - Index fields, without __name__
+ * @param {Array} queryFields - Array of field objects with field name and operator
+ * @param {boolean} ignoreDimension - Don't compare the vector dimension
+ * @returns {boolean}
+ */
+function vectorIndexMatchesQuery(indexFields, queryFields, ignoreDimension) {
+  const vectorQueryField = queryFields.find(f => getFilterKind(f.operator) === 'vector');
+  const vectorIndexField = indexFields[indexFields.length - 1];
+  if (
+    !vectorQueryField ||
+    !vectorIndexField ||
+    !vectorIndexField.vectorConfig ||
+    vectorIndexField.fieldPath !== vectorQueryField.field
+  ) {
+    return false;
+  }
+
+  if (
+    !ignoreDimension &&
+    vectorQueryField.dimension !== undefined &&
+    vectorIndexField.vectorConfig.dimension !== vectorQueryField.dimension
+  ) {
+    return false;
+  }
+
+  const prefilterFields = new Set(queryFields
+    .filter(f => f !== vectorQueryField && getFilterKind(f.operator) !== null)
+    .map(f => f.field));
+  const indexPrefilterFields = indexFields.slice(0, -1).map(f => f.fieldPath);
+  return indexPrefilterFields.length === prefilterFields.size &&
+    indexPrefilterFields.every(fieldPath => prefilterFields.has(fieldPath));
+}
+
+/**
+ * Check if a single composite index can serve the given query
+ * @param {Object} index - Index definition from the indexes file
+ * @param {string} collection - Collection name
+ * @param {Array} queryFields - Array of field objects with field name and operator
+ * @param {string} [queryScope] - COLLECTION or COLLECTION_GROUP
+ * @param {Object} [options]
+ * @param {boolean} [options.ignoreDirection] - Only compare field paths, not orderBy directions
+ * @param {boolean} [options.ignoreDimension] - Don't compare the dimension of vector indexes
+ * @returns {boolean}
+ */
+function indexMatchesQuery(index, collection, queryFields, queryScope = 'COLLECTION', { ignoreDirection = false, ignoreDimension = false } = {}) {
+  if (index.collectionGroup !== collection && index.collectionId !== collection) {
+    return false;
+  }
+
+  // A collection index can't serve a collection group query, and the other way around
+  if ((index.queryScope || 'COLLECTION') !== queryScope) {
+    return false;
+  }
+
+  // Check if index fields match query fields
+  const indexFields = index.fields || [];
+
+  // Filters on the document ID use the trailing __name__ of the index, so they need an
+  // index without fields after the ones the query uses
+  const hasNameFilter = queryFields.some(isNameFilter);
+  queryFields = queryFields.filter(f => !isNameFilter(f));
+
+  // For simple queries, just check if fields are included
+  if (queryFields.length === 0) {
+    return true; // No special index needed for simple queries
+  }
+
+  // Filter out the trailing __name__ field from index fields as it's automatically added by Firestore
+  const relevantIndexFields = indexFields.filter((f, i) => f.fieldPath !== '__name__' || i !== indexFields.length - 1);
+
+  // Vector indexes only serve vector queries, and vector queries only use vector indexes
+  if (queryFields.some(f => getFilterKind(f.operator) === 'vector') || relevantIndexFields.some(f => f.vectorConfig)) {
+    return vectorIndexMatchesQuery(relevantIndexFields, queryFields, ignoreDimension);
+  }
+  
+  // Separate query fields by type
+  // Filters with an unknown operator can't be checked and are left out
+  const equalityQueryFields = queryFields.filter(f => getFilterKind(f.operator) === 'equality');
+  const inequalityQueryFields = queryFields.filter(f => getFilterKind(f.operator) === 'inequality');
+  // An explicit orderBy('__name__') only sets the direction of the implicit __name__ ordering,
+  // and an orderBy on a field with an equality filter has no effect
+  const orderByQueryFields = queryFields.filter(f =>
+    f.operator === 'orderBy' && f.field !== '__name__' && !equalityQueryFields.some(e => e.field === f.field)
+  );
+  const nameOrderBy = queryFields.find(f => f.operator === 'orderBy' && f.field === '__name__');
+  const arrayContainsQueryFields = queryFields.filter(f => getFilterKind(f.operator) === 'arrayContains');
+  const aggregateQueryFields = queryFields.filter(f => getFilterKind(f.operator) === 'aggregate');
+
+  // Firestore index matching rules:
+  // 1. Index must be a prefix match - we need to match from the beginning
+  // 2. Equality and array-contains filters can be in any order at the beginning
+  // 3. After equality/array-contains filters, inequality/orderBy fields must match exactly
+  // 4. Array-contains fields need arrayConfig: "CONTAINS"
+
+  // Check for array-contains queries - they need special arrayConfig
+  for (const queryField of arrayContainsQueryFields) {
+    const matchingIndexField = relevantIndexFields.find(idxf => idxf.fieldPath === queryField.field);
+    if (!matchingIndexField || matchingIndexField.arrayConfig !== 'CONTAINS') {
+      return false;
+    }
+  }
+
+  // Build expected field sequence for query
+  // Equality and array-contains filters (in query order, but could match in any order in index)
+  const equalityFieldNames = [...equalityQueryFields.map(f => f.field), ...arrayContainsQueryFields.map(f => f.field)];
+  // Inequality fields (must match in order)
+  const inequalityFieldNames = inequalityQueryFields.map(f => f.field);
+  // OrderBy fields (must match in order)
+  const orderByFieldNames = orderByQueryFields.map(f => f.field);
+  // Aggregated fields (after the inequality/orderBy fields, in either direction)
+  const aggregateFieldNames = aggregateQueryFields.map(f => f.field);
+
+  // Get index field names
+  const indexFieldNames = relevantIndexFields.map(f => f.fieldPath);
+
+  // Check if index matches the query with prefix matching
+  // The index must start with all the query fields (in the right order)
+  
+  // First, check if all query fields are present in the index
+  const allQueryFields = [...equalityFieldNames, ...inequalityFieldNames, ...orderByFieldNames, ...aggregateFieldNames];
+  if (!allQueryFields.every(qf => indexFieldNames.includes(qf))) {
+    return false;
+  }
+
+  // Now check prefix matching:
+  // 1. All equality/array-contains fields from query must be present in the index
+  //    (can be in any order, but must come before inequality/orderBy fields)
+  // 2. After all equality/array-contains fields in the index, 
+  //    inequality/orderBy fields from the query must match in order
+
+  // Find where equality fields end in the index
+  let indexPos = 0;
+  const indexEqualityFields = new Set();
+  
+  // Collect all equality/array-contains fields at the start of the index
+  while (indexPos < indexFieldNames.length) {
+    const indexField = indexFieldNames[indexPos];
+    const indexFieldDef = relevantIndexFields[indexPos];
+    
+    // Check if this is an equality-type field (has no order or has arrayConfig)
+    // In Firestore, equality fields don't have a specific direction requirement
+    // and array-contains fields have arrayConfig set
+    const isEqualityField = indexFieldDef.arrayConfig === 'CONTAINS' || 
+                             equalityFieldNames.includes(indexField);
+    
+    if (isEqualityField) {
+      indexEqualityFields.add(indexField);
+      indexPos++;
+    } else {
+      // We've reached the inequality/orderBy section
+      break;
+    }
+  }
+
+  // Check that all equality fields from query are present in the index equality section
+  for (const eqField of equalityFieldNames) {
+    if (!indexEqualityFields.has(eqField)) {
+      return false;
+    }
+  }
+
+  // Match inequality/orderBy fields - they must be in order after equality fields
+  // A field that is both filtered by range and ordered only appears once in the index
+  const rangeFields = [...new Set([...inequalityFieldNames, ...orderByFieldNames, ...aggregateFieldNames])];
+  const rangeStart = indexPos;
+  for (const rangeField of rangeFields) {
+    if (indexPos >= indexFieldNames.length || indexFieldNames[indexPos] !== rangeField) {
+      return false;
+    }
+    indexPos++;
+  }
+
+  if (hasNameFilter && indexPos !== relevantIndexFields.length) {
+    return false;
+  }
+
+  if (ignoreDirection) {
+    return true;
+  }
+
+  // Inequality fields without an orderBy can be scanned in either direction
+  const requiredOrders = rangeFields.map(rangeField => {
+    const orderBy = orderByQueryFields.find(f => f.field === rangeField);
+    return orderBy ? orderBy.order : null;
+  });
+
+  // The __name__ ordering only follows the matched fields when the index has no extra fields
+  let queryNameOrder = null;
+  let indexNameOrder = null;
+  if (indexPos === relevantIndexFields.length) {
+    const lastOrderBy = orderByQueryFields[orderByQueryFields.length - 1];
+    queryNameOrder = nameOrderBy ? nameOrderBy.order : (lastOrderBy ? lastOrderBy.order : 'ASCENDING');
+
+    const explicitName = indexFields.find(f => f.fieldPath === '__name__');
+    const lastIndexField = relevantIndexFields[relevantIndexFields.length - 1];
+    indexNameOrder = explicitName
+      ? explicitName.order || 'ASCENDING'
+      : (lastIndexField && lastIndexField.order) || 'ASCENDING';
+  }
+
+  return matchesDirection(requiredOrders, relevantIndexFields.slice(rangeStart, indexPos), queryNameOrder, indexNameOrder);
+}
+
+/**
+ * Lookups precompiled by precompileIndexes, by parsed indexes file
+ */
+const compiledLookups = new WeakMap();
+
+/**
+ * Key of the composite indexes for a collection and query scope in a precompiled lookup
+ * @param {string} collection - Collection name
+ * @param {string} queryScope - COLLECTION or COLLECTION_GROUP
+ * @returns {string}
+ */
+function getLookupKey(collection, queryScope) {
+  return `${queryScope}/${collection}`;
+}
+
+/**
+ * Precompile lookups by collection (and query scope) for an indexes file
+ * hasIndex and findDisabledSingleFieldIndex then only look at the indexes and
+ * fieldOverrides of the queried collection. The indexes file must not be modified afterwards.
+ * @param {Object} indexes - Parsed indexes file
+ * @returns {Object} The same indexes file
+ */
+function precompileIndexes(indexes) {
+  const lookup = { indexes: new Map(), fieldOverrides: new Map() };
+  const add = (map, key, value) => {
+    if (!map.has(key)) {
+      map.set(key, []);
+    }
+    map.get(key).push(value);
+  };
+
+  for (const index of indexes.indexes || []) {
+    // indexMatchesQuery accepts either name
+    const collections = new Set([index.collectionGroup, index.collectionId].filter(Boolean));
+    for (const collection of collections) {
+      add(lookup.indexes, getLookupKey(collection, index.queryScope || 'COLLECTION'), index);
+    }
+  }
+  for (const override of indexes.fieldOverrides || []) {
+    add(lookup.fieldOverrides, override.collectionGroup, override);
+  }
+
+  compiledLookups.set(indexes, lookup);
+  return indexes;
+}
+
+/**
+ * Find the fieldOverrides entry that applies to a field
+ * An override on a map field applies to its subfields, unless a subfield has its own override
+ * @param {Object} indexes - Parsed indexes file
+ * @param {string} collection - Collection name
+ * @param {string} fieldPath - Field path
+ * @returns {Object|null}
+ */
+function findFieldOverride(indexes, collection, fieldPath) {
+  const lookup = indexes && compiledLookups.get(indexes);
+  const overrides = lookup ? lookup.fieldOverrides.get(collection) || [] : (indexes && indexes.fieldOverrides) || [];
+
+  let match = null;
+  for (const override of overrides) {
+    if (
+      override.collectionGroup === collection &&
+      (override.fieldPath === fieldPath || fieldPath.startsWith(`${override.fieldPath}.`)) &&
+      (!match || override.fieldPath.length > match.fieldPath.length)
+    ) {
+      match = override;
+    }
+  }
+  return match;
+}
+
+/**
+ * Find a query field whose single-field index is disabled by fieldOverrides
+ * Without an override, Firestore keeps ascending, descending and array-contains
+ * single-field indexes for every field in collection scope, and none in collection group
+ * scope. An override replaces these with the indexes it lists, so an override without
+ * indexes exempts the field entirely.
+ * @param {Object} indexes - Parsed indexes file
+ * @param {string} collection - Collection name
+ * @param {Array} queryFields - Array of field objects with field name and operator
+ * @param {string} [queryScope] - COLLECTION or COLLECTION_GROUP
+ * @returns {{field: string, indexType: string}|null} The first field without the single-field index it needs
+ */
+function findDisabledSingleFieldIndex(indexes, collection, queryFields, queryScope = 'COLLECTION') {
+  for (const queryField of queryFields) {
+    const kind = getFilterKind(queryField.operator);
+    // Vector fields never have a single-field index, they always need a vector index
+    if (kind === null || kind === 'vector' || queryField.field === '__name__') {
+      continue;
+    }
+
+    const override = findFieldOverride(indexes, collection, queryField.field);
+    if (!override && queryScope === 'COLLECTION') {
+      continue;
+    }
+
+    const available = ((override && override.indexes) || []).filter(index => (index.queryScope || 'COLLECTION') === queryScope);
+    if (kind === 'arrayContains') {
+      if (!available.some(index => index.arrayConfig === 'CONTAINS')) {
+        return { field: queryField.field, indexType: 'CONTAINS' };
+      }
+    } else if (kind === 'orderBy') {
+      if (!available.some(index => index.order === queryField.order)) {
+        return { field: queryField.field, indexType: queryField.order };
+      }
+    } else if (!available.some(index => index.order)) {
+      // Equality and range filters can use either direction
+      return { field: queryField.field, indexType: 'ASCENDING or DESCENDING' };
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the fieldOverrides entry that enables a single-field index findDisabledSingleFieldIndex found
+ * An override replaces the automatic single-field indexes of its field, so the entry lists the
+ * indexes the field has now (those of the override that applies to it, or the automatic ones)
+ * together with the missing one.
+ * @param {Object} indexes - Parsed indexes file
+ * @param {string} collection - Collection name
+ * @param {{field: string, indexType: string}} disabled - Field and index type that are missing
+ * @param {string} [queryScope] - COLLECTION or COLLECTION_GROUP
+ * @returns {Object} e.g. `{"collectionGroup":"comments","fieldPath":"createdAt","indexes":[..., {"order":"ASCENDING","queryScope":"COLLECTION_GROUP"}]}`
+ */
+function buildFieldOverride(indexes, collection, { field, indexType }, queryScope = 'COLLECTION') {
+  const override = findFieldOverride(indexes, collection, field);
+  const current = override
+    ? override.indexes || []
+    : [
+      { order: 'ASCENDING', queryScope: 'COLLECTION' },
+      { order: 'DESCENDING', queryScope: 'COLLECTION' },
+      { arrayConfig: 'CONTAINS', queryScope: 'COLLECTION' },
+    ];
+  // Equality and range filters can use either direction
+  const added = indexType === 'CONTAINS'
+    ? { arrayConfig: 'CONTAINS', queryScope }
+    : { order: indexType === 'DESCENDING' ? 'DESCENDING' : 'ASCENDING', queryScope };
+
+  return {
+    collectionGroup: collection,
+    fieldPath: field,
+    indexes: [...current, added],
+  };
+}
+
+/**
+ * Check whether a query filters and orders on a single field, e.g. `orderBy('createdAt')`
+ * Such a query can only be served by the single-field indexes of that field: Firestore
+ * rejects composite indexes with one field. Vector queries need a vector index instead.
+ * @param {Array} queryFields - Array of field objects with field name and operator
+ * @returns {boolean}
+ */
+function isSingleFieldQuery(queryFields) {
+  const fieldNames = new Set(queryFields.map(f => f.field).filter(field => field !== '__name__'));
+  return fieldNames.size <= 1 && !queryFields.some(f => f.operator === 'findNearest');
+}
+
+/**
+ * Find the index that serves a query
+ * A matching composite index is preferred; otherwise queries on a single field, and queries
+ * that can use index merging, are served by Firestore's automatic single-field indexes,
+ * unless fieldOverrides disables them.
+ * @param {Object} indexes - Parsed indexes file
+ * @param {string} collection - Collection name
+ * @param {Array} queryFields - Array of field objects with field name and operator
+ * @param {string} [queryScope] - COLLECTION or COLLECTION_GROUP
+ * @param {Object} [options] - Passed on to indexMatchesQuery
+ * @returns {{type: string, index: Object|null}|null} `type` is `composite` (with the matching
+ *   index), `index-merging` (single-field indexes of several fields) or `single-field`;
+ *   null when no index serves the query
+ */
+function findIndex(indexes, collection, queryFields, queryScope = 'COLLECTION', options = {}) {
+  if (indexes && indexes.indexes) {
+    const lookup = compiledLookups.get(indexes);
+    const candidates = lookup ? lookup.indexes.get(getLookupKey(collection, queryScope)) || [] : indexes.indexes;
+    const index = candidates.find(candidate => indexMatchesQuery(candidate, collection, queryFields, queryScope, options));
+    if (index) {
+      return { type: 'composite', index };
+    }
+  }
+
+  // Single-field indexes end with __name__ too, so filters on the document ID don't count
+  const indexedFields = queryFields.filter(f => !isNameFilter(f));
+  const automatic = !needsIndexCheck(indexedFields) || canUseIndexMerging(indexedFields);
+  if (automatic && !findDisabledSingleFieldIndex(indexes, collection, queryFields, queryScope)) {
+    return { type: isSingleFieldQuery(queryFields) ? 'single-field' : 'index-merging', index: null };
+  }
+  return null;
+}
+
+/**
+ * Check if an index exists for the given query
+ * @param {Object} indexes - Parsed indexes file
+ * @param {string} collection - Collection name
+ * @param {Array} queryFields - Array of field objects with field name and operator
+ * @param {string} [queryScope] - COLLECTION or COLLECTION_GROUP
+ * @param {Object} [options] - Passed on to indexMatchesQuery
+ * @returns {boolean}
+ */
+function hasIndex(indexes, collection, queryFields, queryScope = 'COLLECTION', options = {}) {
+  return findIndex(indexes, collection, queryFields, queryScope, options) !== null;
+}
+
+/**
+ * Build the composite index definition a query needs, in the indexes.json format
+ * Equality (==, in) filters come first, then array-contains filters (arrayConfig: CONTAINS),
+ * then range filters and orderBy fields in their query order and direction (an orderBy on a
+ * field with an equality filter is left out), then the
+ * field of a sum() or average() aggregation. Filters on the document ID and orderBy('__name__')
+ * add __name__ last, in the direction of the query's __name__ ordering.
+ * Vector queries get a vector index: the pre-filter fields, then the vector field, whose
+ * dimension is left out when the query vector isn't a literal.
+ * @param {string} collection - Collection name
+ * @param {Array} queryFields - Array of field objects with field name and operator
+ * @param {string} [queryScope] - COLLECTION or COLLECTION_GROUP
+ * @returns {Object}
+ */
+function buildIndexDefinition(collection, queryFields, queryScope = 'COLLECTION') {
+  const fields = [];
+  const addField = (indexField) => {
+    if (!fields.some(f => f.fieldPath === indexField.fieldPath)) {
+      fields.push(indexField);
+    }
+  };
+
+  const nameFields = queryFields.filter(f => f.field === '__name__');
+  // An orderBy on a field with an equality filter has no effect, like in indexMatchesQuery
+  const equalityFieldNames = queryFields.filter(f => getFilterKind(f.operator) === 'equality').map(f => f.field);
+  queryFields = queryFields.filter(f =>
+    f.field !== '__name__' && !(f.operator === 'orderBy' && equalityFieldNames.includes(f.field))
+  );
+
+  for (const queryField of queryFields.filter(f => getFilterKind(f.operator) === 'equality')) {
+    addField({ fieldPath: queryField.field, order: 'ASCENDING' });
+  }
+  for (const queryField of queryFields.filter(f => getFilterKind(f.operator) === 'arrayContains')) {
+    addField({ fieldPath: queryField.field, arrayConfig: 'CONTAINS' });
+  }
+
+  const rangeQueryFields = queryFields.filter(f => 
+    getFilterKind(f.operator) === 'inequality' || f.operator === 'orderBy' || getFilterKind(f.operator) === 'aggregate'
+  );
+  for (const queryField of rangeQueryFields) {
+    const existing = fields.find(f => f.fieldPath === queryField.field);
+    if (existing && queryField.operator === 'orderBy' && !existing.arrayConfig) {
+      // orderBy on a range-filtered field determines the direction of that field
+      existing.order = queryField.order;
+    } else {
+      addField({ fieldPath: queryField.field, order: queryField.order || 'ASCENDING' });
+    }
+  }
+
+  for (const queryField of queryFields.filter(f => getFilterKind(f.operator) === 'vector')) {
+    fields.push({ fieldPath: queryField.field, vectorConfig: { dimension: queryField.dimension, flat: {} } });
+  }
+
+  // Queries order by __name__ in the direction of their last orderBy, unless they order by it explicitly
+  if (nameFields.length > 0) {
+    const orderBys = [...queryFields, ...nameFields].filter(f => f.operator === 'orderBy');
+    const lastOrderBy = orderBys[orderBys.length - 1];
+    fields.push({ fieldPath: '__name__', order: lastOrderBy ? lastOrderBy.order : 'ASCENDING' });
+  }
+
+  return {
+    collectionGroup: collection,
+    queryScope,
+    fields,
+  };
+}
+
+/**
+ * Get the fields of an index, without a trailing __name__ that matches Firestore's implicit ordering
+ * Firestore orders by __name__ in the direction of the last field when the index doesn't say otherwise
+ * @param {Object} index - Index definition
+ * @returns {Array}
+ */
+function getExplicitFields(index) {
+  const fields = index.fields || [];
+  const last = fields[fields.length - 1];
+  const previous = fields[fields.length - 2];
+  if (last && previous && last.fieldPath === '__name__' && last.order === (previous.order || 'ASCENDING')) {
+    return fields.slice(0, -1);
+  }
+  return fields;
+}
+
+/**
+ * Find an index that makes the index at the given position redundant
+ * An index is covered by another index on the same collection and query scope whose
+ * fields start with all of its fields. Of two identical indexes, the first one covers the second.
+ * @param {Array} indexList - Index definitions from the indexes file
+ * @param {number} position - Position of the index to check
+ * @returns {number} Position of the covering index, or -1 if there is none
+ */
+function findCoveringIndex(indexList, position) {
+  const index = indexList[position];
+  const fields = getExplicitFields(index);
+
+  return indexList.findIndex((other, otherPosition) => {
+    if (
+      otherPosition === position ||
+      (other.collectionGroup || other.collectionId) !== (index.collectionGroup || index.collectionId) ||
+      (other.queryScope || 'COLLECTION') !== (index.queryScope || 'COLLECTION')
+    ) {
+      return false;
+    }
+
+    const otherFields = getExplicitFields(other);
+    if (otherFields.length < fields.length || (otherFields.length === fields.length && otherPosition > position)) {
+      return false;
+    }
+    // A vector index only serves vector queries, so it can only be covered by an identical index
+    const isVector = (indexFields) => indexFields.some(field => field.vectorConfig);
+    if ((isVector(fields) || isVector(otherFields)) && otherFields.length !== fields.length) {
+      return false;
+    }
+    return fields.every((field, i) =>
+      field.fieldPath === otherFields[i].fieldPath &&
+      field.order === otherFields[i].order &&
+      field.arrayConfig === otherFields[i].arrayConfig &&
+      JSON.stringify(field.vectorConfig) === JSON.stringify(otherFields[i].vectorConfig)
+    );
+  });
+}
+
+/**
+ * Find composite indexes that no query needs
+ * An index is unused when none of the queries can be served by it, or redundant when
+ * another index covers it by prefix (queries it serves can use the other index too).
+ * @param {Object} indexes - Parsed indexes file
+ * @param {Array<{collection: string, queryScope: string, queryFields: Array}>} queries - Every query in the project
+ * @returns {Array<{position: number, index: Object, coveredBy: number}>} coveredBy is -1 for unused indexes
+ */
+function findUnusedIndexes(indexes, queries) {
+  const indexList = (indexes && indexes.indexes) || [];
+  const indexQueries = queries.filter(({ queryFields }) => needsIndexCheck(queryFields));
+
+  return indexList.flatMap((index, position) => {
+    const coveredBy = findCoveringIndex(indexList, position);
+    if (coveredBy !== -1) {
+      return [{ position, index, coveredBy }];
+    }
+
+    const used = indexQueries.some(({ collection, queryScope, queryFields }) =>
+      indexMatchesQuery(index, collection, queryFields, queryScope)
+    );
+    return used ? [] : [{ position, index, coveredBy: -1 }];
+  });
+}
+
+/**
+ * Check whether a query is complex enough to possibly need a composite index
+ * Queries on a single field, without orderBy, are always served by the automatic single-field
+ * indexes (filters on the document ID don't count); vector queries always need a vector index
+ * @param {Array} queryFields - Array of field objects with field name and operator
+ * @returns {boolean}
+ */
+function needsIndexCheck(queryFields) {
+  queryFields = queryFields.filter(f => !isNameFilter(f));
+  return queryFields.length > 1 || queryFields.some(f => f.operator === 'orderBy' || f.operator === 'findNearest');
+}
+
+module.exports = {
+  buildFieldOverride,
+  buildIndexDefinition,
+  canUseIndexMerging,
+  findCoveringIndex,
+  findDisabledSingleFieldIndex,
+  findIndex,
+  findUnusedIndexes,
+  getExplicitFields,
+  getFilterKind,
+  hasIndex,
+  indexMatchesQuery,
+  isSingleFieldQuery,
+  needsIndexCheck,
+  precompileIndexes,
+};
@@ -0,0 +1,209 @@
+/**
+ * @fileoverview Read and update Firestore indexes files
+ * @author Q42
+ */
+'use strict';
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+/**
+ * Detect the indentation used by a JSON file
+ * @param {string} content - File content
+ * @returns {string} Indentation of the first indented line, defaulting to two spaces
+ */
+function detectIndent(content) {
+  const match = /^([ \t]+)\S/m.exec(content);
+  return match ? match[1] : '  ';
+}
+
+/**
+ * Check whether indexes are sorted by collection group
+ * @param {Array} indexes - Index definitions
+ * @returns {boolean}
+ */
+function isSortedByCollection(indexes) {
+  return indexes.every((index, i) => i === 0 || getCollection(indexes[i - 1]) <= getCollection(index));
+}
+
+/**
+ * Get the collection an index definition applies to
+ * @param {Object} index - Index definition
+ * @returns {string}
+ */
+function getCollection(index) {
+  return index.collectionGroup || index.collectionId || '';
+}
+
+/**
+ * Check whether a value is a plain JSON object
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Describe a JSON.parse error with the line and column it occurred at
+ * @param {SyntaxError} error - Error thrown by JSON.parse
+ * @param {string} content - Text that was parsed
+ * @returns {{type: string, message: string, line: number, column: number}}
+ */
+function describeSyntaxError(error, content) {
+  // e.g. "Expected ',' or '}' after property value in JSON at position 42 (line 3 column 5)"
+  const match = / at position (\d+)/.exec(error.message);
+  const position = match ? Number(match[1]) : content.length;
+  const lines = content.slice(0, position).split('\n');
+
+  return {
+    type: 'syntax',
+    message: error.message.replace(/ (?:in JSON )?at position \d+.*$/, ''),
+    line: lines.length,
+    column: lines[lines.length - 1].length + 1,
+  };
+}
+
+/**
+ * Check an index field against the Firebase index schema
+ * @param {*} field - Field definition
+ * @param {string} at - Location of the field, used in the error
+ * @returns {string|null} Error, or null if the field is valid
+ */
+function findFieldSchemaError(field, at) {
+  if (!isObject(field)) {
+    return `${at} must be an object`;
+  }
+  if (typeof field.fieldPath !== 'string') {
+    return `${at}.fieldPath must be a string`;
+  }
+  if (field.order === undefined && field.arrayConfig === undefined && field.vectorConfig === undefined) {
+    return `${at} needs an order, arrayConfig or vectorConfig`;
+  }
+  return null;
+}
+
+/**
+ * Check a parsed indexes file against the Firebase index schema
+ * Only the structure is checked; the valid-indexes-file rule checks the values.
+ * @param {*} data - Parsed indexes file
+ * @returns {string|null} The first error, or null if the structure is valid
+ */
+function findSchemaError(data) {
+  if (!isObject(data)) {
+    return 'the file must contain an object';
+  }
+  if (data.indexes !== undefined && !Array.isArray(data.indexes)) {
+    return 'indexes must be an array';
+  }
+  if (data.fieldOverrides !== undefined && !Array.isArray(data.fieldOverrides)) {
+    return 'fieldOverrides must be an array';
+  }
+
+  for (const [i, index] of (data.indexes || []).entries()) {
+    const at = `indexes[${i}]`;
+    if (!isObject(index)) {
+      return `${at} must be an object`;
+    }
+    if (typeof (index.collectionGroup || index.collectionId) !== 'string') {
+      return `${at}.collectionGroup must be a string`;
+    }
+    if (index.queryScope !== undefined && typeof index.queryScope !== 'string') {
+      return `${at}.queryScope must be a string`;
+    }
+    if (!Array.isArray(index.fields) || index.fields.length === 0) {
+      return `${at}.fields must be a non-empty array`;
+    }
+    for (const [j, field] of index.fields.entries()) {
+      const error = findFieldSchemaError(field, `${at}.fields[${j}]`);
+      if (error) {
+        return error;
+      }
+    }
+  }
+
+  for (const [i, override] of (data.fieldOverrides || []).entries()) {
+    const at = `fieldOverrides[${i}]`;
+    if (!isObject(override)) {
+      return `${at} must be an object`;
+    }
+    if (typeof override.collectionGroup !== 'string') {
+      return `${at}.collectionGroup must be a string`;
+    }
+    if (typeof override.fieldPath !== 'string') {
+      return `${at}.fieldPath must be a string`;
+    }
+    if (override.indexes !== undefined && !Array.isArray(override.indexes)) {
+      return `${at}.indexes must be an array`;
+    }
+    const overrideIndex = (override.indexes || []).findIndex(index => !isObject(index));
+    if (overrideIndex !== -1) {
+      return `${at}.indexes[${overrideIndex}] must be an object`;
+    }
+  }
+
+  return null;
+}
+
+//------------------------------------------------------------------------------
+// Public API
+//------------------------------------------------------------------------------
+
+/**
+ * Parse the content of an indexes file
+ * @param {string} content - File content
+ * @returns {{indexes: Object|null, error: {type: string, message: string, line?: number, column?: number}|null}}
+ *   The parsed file, or an error of type `syntax` (with the line and column) or `schema`
+ */
+function parseIndexesFile(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    return { indexes: null, error: describeSyntaxError(error, content) };
+  }
+
+  const schemaError = findSchemaError(data);
+  if (schemaError) {
+    return { indexes: null, error: { type: 'schema', message: schemaError } };
+  }
+  return { indexes: data, error: null };
+}
+
+/**
+ * Add composite indexes to the content of an indexes file
+ * Keeps the file's indentation and trailing newline. When the existing indexes are
+ * sorted by collection group, new indexes are inserted in sorted position;
+ * otherwise they are appended.
+ * @param {string|null} content - Current file content, or null if the file doesn't exist yet
+ * @param {Array} newIndexes - Index definitions to add
+ * @returns {string} Updated file content
+ */
+function addIndexes(content, newIndexes) {
+  const data = content ? JSON.parse(content) : { indexes: [], fieldOverrides: [] };
+  const indexes = Array.isArray(data.indexes) ? data.indexes : [];
+  const sorted = isSortedByCollection(indexes);
+
+  for (const index of newIndexes) {
+    if (!sorted) {
+      indexes.push(index);
+      continue;
+    }
+
+    let position = indexes.length;
+    while (position > 0 && getCollection(indexes[position - 1]) > getCollection(index)) {
+      position--;
+    }
+    indexes.splice(position, 0, index);
+  }
+
+  data.indexes = indexes;
+  const trailingNewline = content === null || content.endsWith('\n') ? '\n' : '';
+  return JSON.stringify(data, null, content ? detectIndent(content) : '  ') + trailingNewline;
+}
+
+module.exports = {
+  addIndexes,
+  parseIndexesFile,
+};
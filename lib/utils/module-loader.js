@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Parse the local modules a linted file imports from, to follow queries across files
+ * @author Q42
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { Linter } = require('eslint');
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+/**
+ * Extensions tried, in order, for an import specifier without one
+ */
+const MODULE_EXTENSIONS = ['.ts', '.tsx', '.mts', '.cts', '.js', '.jsx', '.mjs', '.cjs'];
+
+/**
+ * Parsed modules by absolute path, reused as long as the file and the parser don't change
+ * @type {Map<string, {mtimeMs: number, parser: Object|undefined, sourceCode: Object|null}>}
+ */
+const moduleCache = new Map();
+
+/**
+ * Check whether a path is an existing file
+ * @param {string} filePath - Absolute path
+ * @returns {boolean}
+ */
+function isFile(filePath) {
+  try {
+    return fs.statSync(filePath).isFile();
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Parse a file the way the importing file was parsed
+ * Runs ESLint without rules other than one that captures the SourceCode, so the module
+ * gets the same AST, scope analysis and parser (e.g. @typescript-eslint/parser).
+ * Type information isn't needed, so a TypeScript project isn't loaded for it.
+ * @param {string} filePath - Absolute path of the module
+ * @param {string} text - Module source
+ * @param {Object} languageOptions - Language options of the importing file
+ * @returns {Object|null} SourceCode, or null when the module doesn't parse
+ */
+function parseModule(filePath, text, languageOptions) {
+  const untypedParserOptions = { ...languageOptions.parserOptions };
+  delete untypedParserOptions.project;
+  delete untypedParserOptions.projectService;
+  let sourceCode = null;
+
+  new Linter({ configType: 'flat', cwd: path.parse(filePath).root }).verify(text, [
+    {
+      files: ['**/*.*'],
+      languageOptions: { ...languageOptions, parserOptions: untypedParserOptions },
+      plugins: {
+        loader: {
+          rules: {
+            capture: {
+              create(context) {
+                sourceCode = context.sourceCode;
+                return {};
+              },
+            },
+          },
+        },
+      },
+      rules: { 'loader/capture': 'error' },
+    },
+  ], filePath);
+
+  return sourceCode;
+}
+
+//------------------------------------------------------------------------------
+// Public API
+//------------------------------------------------------------------------------
+
+/**
+ * Find the file a relative import specifier refers to
+ * Tries the specifier as is, with each module extension, as a directory with an index
+ * file, and with `.js` swapped for a TypeScript extension (as TypeScript ESM imports do).
+ * @param {string} importingFile - Absolute path of the importing file
+ * @param {string} specifier - Import specifier, e.g. `'./refs'`
+ * @returns {string|null} Absolute path, or null for package imports and missing files
+ */
+function resolveModulePath(importingFile, specifier) {
+  if (!specifier.startsWith('./') && !specifier.startsWith('../')) {
+    return null;
+  }
+
+  const base = path.resolve(path.dirname(importingFile), specifier);
+  const candidates = [
+    base,
+    ...MODULE_EXTENSIONS.map(extension => base + extension),
+    ...MODULE_EXTENSIONS.map(extension => path.join(base, `index${extension}`)),
+  ];
+  if (/\.[mc]?js$/.test(base)) {
+    candidates.push(...['.ts', '.tsx', '.mts', '.cts'].map(extension => base.replace(/\.[mc]?js$/, extension)));
+  }
+  return candidates.find(isFile) || null;
+}
+
+/**
+ * Load and parse a local module imported by a linted file
+ * @param {string} importingFile - Absolute path of the importing file
+ * @param {string} specifier - Import specifier
+ * @param {Object} languageOptions - Language options the importing file was linted with
+ * @returns {{filePath: string, sourceCode: Object}|null} null when the module can't be found or parsed
+ */
+function loadModule(importingFile, specifier, languageOptions) {
+  const filePath = resolveModulePath(importingFile, specifier);
+  if (!filePath) {
+    return null;
+  }
+
+  const { mtimeMs } = fs.statSync(filePath);
+  const cached = moduleCache.get(filePath);
+  if (cached && cached.mtimeMs === mtimeMs && cached.parser === languageOptions.parser) {
+    return cached.sourceCode && { filePath, sourceCode: cached.sourceCode };
+  }
+
+  const sourceCode = parseModule(filePath, fs.readFileSync(filePath, 'utf8'), languageOptions);
+  moduleCache.set(filePath, { mtimeMs, parser: languageOptions.parser, sourceCode });
+  return sourceCode && { filePath, sourceCode };
+}
+
+module.exports = {
+  loadModule,
+  resolveModulePath,
+};
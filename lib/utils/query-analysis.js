@@ -0,0 +1,1620 @@
+/**
+ * @fileoverview Extract Firestore query shapes from the AST
+ * @author Q42
+ */
+'use strict';
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const { DEFAULT_DATABASE } = require('./firebase-config');
+const { createFirestoreTypes, hasTypeInformation } = require('./firestore-types');
+const { loadModule } = require('./module-loader');
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+/**
+ * Modular (v9+) SDK functions that execute the query passed as first argument
+ */
+const MODULAR_TERMINAL_FUNCTIONS = [
+  'getDocs',
+  'getDocsFromCache',
+  'getDocsFromServer',
+  'onSnapshot',
+  'getCountFromServer',
+];
+
+/**
+ * Modular (v9+) SDK functions that run aggregations, `getAggregateFromServer(query, spec)`
+ */
+const MODULAR_AGGREGATE_FUNCTIONS = [
+  'getAggregate',
+  'getAggregateFromServer',
+];
+
+/**
+ * Aggregations that read a field, and so need it in the index
+ * count() only counts the documents matching the filters.
+ */
+const FIELD_AGGREGATIONS = ['sum', 'average'];
+
+/**
+ * Node types of functions, whose return values followHelpers follows
+ */
+const FUNCTION_TYPES = ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'];
+
+/**
+ * Upper bound on the number of query variants tracked for a single query,
+ * so long chains of conditional filters don't blow up combinatorially
+ */
+const MAX_QUERY_VARIANTS = 32;
+
+/**
+ * Upper bound on the number of variables followed to find a constant value,
+ * guards against cyclic definitions
+ */
+const MAX_CONSTANT_DEPTH = 16;
+
+/**
+ * JSON schema of the rule options that configure the query analyzer, shared by the rules
+ */
+const analyzerOptionsSchema = {
+  collectionResolvers: {
+    type: 'object',
+    additionalProperties: {
+      oneOf: [
+        { type: 'string' },
+        {
+          type: 'object',
+          properties: {
+            collection: { type: 'string' },
+            queryScope: { enum: ['COLLECTION', 'COLLECTION_GROUP'] },
+          },
+          required: ['collection'],
+          additionalProperties: false,
+        },
+      ],
+    },
+  },
+  inferCollectionNames: {
+    type: 'boolean',
+    default: true,
+  },
+  typeAware: {
+    type: 'boolean',
+    default: false,
+  },
+  followHelpers: {
+    type: 'boolean',
+    default: false,
+  },
+};
+
+/**
+ * Build a query field for a field argument
+ * A field that can't be resolved gets `field: null` and keeps its argument node as
+ * `fieldNode`, so the query can be reported as not analyzable. Query fields returned
+ * to the analyzer of another module carry the source text as `fieldText` instead.
+ * @param {Object} fieldArg - Field argument node
+ * @param {Function} resolveField - Resolves a field argument to a field path, or null
+ * @param {Object} properties - Other properties of the query field
+ * @returns {Object}
+ */
+function createQueryField(fieldArg, resolveField, properties) {
+  const field = resolveField(fieldArg);
+  return field === null
+    ? { field: null, fieldNode: fieldArg, ...properties }
+    : { field, ...properties };
+}
+
+/**
+ * Parse a where() call into a query field
+ * Shared by the chained `.where()` method and the modular `where()` constraint
+ * @param {Array} args - Call arguments
+ * @param {Function} resolveField - Resolves a field argument to a field path, or null
+ * @returns {Object|null}
+ */
+function parseWhere(args, resolveField) {
+  if (args.length < 2) {
+    return null;
+  }
+
+  const fieldArg = args[0];
+  const operatorArg = args[1];
+
+  // Number of values of in, not-in and array-contains-any filters, when written as an array
+  const valueArg = args[2];
+  const valueCount = valueArg && valueArg.type === 'ArrayExpression' &&
+    valueArg.elements.every(element => element && element.type !== 'SpreadElement')
+    ? valueArg.elements.length
+    : undefined;
+
+  return createQueryField(fieldArg, resolveField, {
+    operator: operatorArg.type === 'Literal' ? operatorArg.value : 'unknown',
+    ...(valueCount === undefined ? {} : { valueCount }),
+  });
+}
+
+/**
+ * Parse an orderBy() call into a query field
+ * Shared by the chained `.orderBy()` method and the modular `orderBy()` constraint
+ * @param {Array} args - Call arguments
+ * @param {Function} resolveField - Resolves a field argument to a field path, or null
+ * @returns {Object|null}
+ */
+function parseOrderBy(args, resolveField) {
+  if (args.length < 1) {
+    return null;
+  }
+
+  const fieldArg = args[0];
+  const directionArg = args[1];
+
+  const direction = directionArg && directionArg.type === 'Literal' 
+    ? (directionArg.value === 'desc' ? 'DESCENDING' : 'ASCENDING')
+    : 'ASCENDING';
+
+  return createQueryField(fieldArg, resolveField, {
+    operator: 'orderBy',
+    order: direction,
+  });
+}
+
+/**
+ * Get the dimension of a query vector written as a literal
+ * e.g. `[0.1, 0.2]`, `FieldValue.vector([0.1, 0.2])` or `vector([0.1, 0.2])`
+ * @param {Object} [node] - Query vector expression
+ * @returns {number|undefined} Number of dimensions, undefined when it isn't known statically
+ */
+function getVectorDimension(node) {
+  if (node && node.type === 'CallExpression' && node.arguments.length > 0) {
+    const calleeName = node.callee.type === 'MemberExpression' ? node.callee.property.name : node.callee.name;
+    if (calleeName === 'vector') {
+      return getVectorDimension(node.arguments[0]);
+    }
+  }
+
+  if (node && node.type === 'ArrayExpression' && node.elements.every(element => element && element.type !== 'SpreadElement')) {
+    return node.elements.length;
+  }
+  return undefined;
+}
+
+/**
+ * Parse a findNearest() call into a query field
+ * Supports both the options form, `findNearest({ vectorField, queryVector, limit, distanceMeasure })`,
+ * and the positional form, `findNearest('embedding', queryVector, { limit, distanceMeasure })`
+ * @param {Array} args - Call arguments
+ * @param {Function} resolveField - Resolves a field argument to a field path, or null
+ * @returns {Object|null}
+ */
+function parseFindNearest(args, resolveField) {
+  let fieldArg = args[0];
+  let vectorArg = args[1];
+
+  if (args.length === 1 && args[0].type === 'ObjectExpression') {
+    const getOption = (name) => {
+      const property = args[0].properties.find(p =>
+        p.type === 'Property' && !p.computed && (p.key.name === name || p.key.value === name));
+      return property ? property.value : null;
+    };
+    fieldArg = getOption('vectorField');
+    vectorArg = getOption('queryVector');
+  }
+
+  if (!fieldArg) {
+    return null;
+  }
+
+  const dimension = getVectorDimension(vectorArg);
+  return createQueryField(fieldArg, resolveField, {
+    operator: 'findNearest',
+    ...(dimension === undefined ? {} : { dimension }),
+  });
+}
+
+/**
+ * Parse an aggregate spec into query fields, one per aggregated field
+ * e.g. `{ total: AggregateField.sum('amount'), avg: average('score'), n: count() }`
+ * @param {Object} [node] - Aggregate spec object
+ * @param {Function} resolveField - Resolves a field argument to a field path, or null
+ * @returns {Array<Object>}
+ */
+function parseAggregateSpec(node, resolveField) {
+  if (!node || node.type !== 'ObjectExpression') {
+    return [];
+  }
+
+  const fields = [];
+  for (const property of node.properties) {
+    const call = property.type === 'Property' ? property.value : null;
+    if (!call || call.type !== 'CallExpression' || call.arguments.length === 0) {
+      continue;
+    }
+    const operator = call.callee.type === 'MemberExpression' ? call.callee.property.name : call.callee.name;
+    if (FIELD_AGGREGATIONS.includes(operator)) {
+      fields.push(createQueryField(call.arguments[0], resolveField, { operator }));
+    }
+  }
+  return fields;
+}
+
+/**
+ * Parse a modular query constraint such as `where('status', '==', 'open')`
+ * Pagination constraints (limit(), startAfter(), ...) don't affect index requirements
+ * @param {Object} node - Constraint argument passed to query()
+ * @param {Function} resolveField - Resolves a field argument to a field path, or null
+ * @returns {Object|null}
+ */
+function parseQueryConstraint(node, resolveField) {
+  if (node.type !== 'CallExpression' || node.callee.type !== 'Identifier') {
+    return null;
+  }
+
+  if (node.callee.name === 'where') {
+    return parseWhere(node.arguments, resolveField);
+  }
+  if (node.callee.name === 'orderBy') {
+    return parseOrderBy(node.arguments, resolveField);
+  }
+  return null;
+}
+
+/**
+ * Check whether an expression is the Filter class, e.g. `Filter` or `admin.firestore.Filter`
+ * @param {Object} node - Expression node
+ * @returns {boolean}
+ */
+function isFilterClass(node) {
+  return (node.type === 'Identifier' && node.name === 'Filter') ||
+    (node.type === 'MemberExpression' && node.property.name === 'Filter');
+}
+
+/**
+ * Convert a filter into disjunctive normal form, the way Firestore runs OR queries
+ * e.g. `and(a, or(b, c))` gives `[[a, b], [a, c]]`
+ * @param {Object} filter - Query field or composite filter
+ * @returns {Array<Array<Object>>} Disjuncts, each a list of query fields
+ */
+function toDisjunctiveNormalForm(filter) {
+  if (filter.operator === 'or') {
+    return filter.filters.flatMap(toDisjunctiveNormalForm).slice(0, MAX_QUERY_VARIANTS);
+  }
+  if (filter.operator === 'and') {
+    return filter.filters.reduce((disjuncts, child) => {
+      const childDisjuncts = toDisjunctiveNormalForm(child);
+      return disjuncts
+        .flatMap(disjunct => childDisjuncts.map(childDisjunct => [...disjunct, ...childDisjunct]))
+        .slice(0, MAX_QUERY_VARIANTS);
+    }, [[]]);
+  }
+  return [[filter]];
+}
+
+/**
+ * Count the disjunctions Firestore runs for a filter
+ * Each value of an in or array-contains-any filter counts as a separate disjunction.
+ * @param {Object} filter - Query field or composite filter
+ * @returns {number}
+ */
+function countDisjunctions(filter) {
+  if (filter.operator === 'or') {
+    return filter.filters.reduce((sum, child) => sum + countDisjunctions(child), 0);
+  }
+  if (filter.operator === 'and') {
+    return filter.filters.reduce((product, child) => product * countDisjunctions(child), 1);
+  }
+  const multiValue = filter.operator === 'in' || filter.operator === 'array-contains-any';
+  return multiValue && filter.valueCount !== undefined ? filter.valueCount : 1;
+}
+
+/**
+ * Split a query variant with composite filters into one variant per disjunct
+ * Each disjunct is labelled in the variant conditions so reports can name it.
+ * @param {Object} variant - Query variant whose fields may contain composite filters
+ * @returns {Array} Variants with plain query fields, a `disjunct` description (null
+ *   without OR filters) and the number of `disjunctions` of the whole query
+ */
+function expandDisjunctions(variant) {
+  const filter = { operator: 'and', filters: variant.queryFields };
+  const disjunctions = countDisjunctions(filter);
+  const disjuncts = toDisjunctiveNormalForm(filter);
+
+  return disjuncts.map(fields => {
+    const queryFields = fields.map(({ description, ...field }) => field);
+    if (disjuncts.length === 1) {
+      return { ...variant, queryFields, disjunct: null, disjunctions };
+    }
+
+    const disjunct = fields.filter(field => field.description).map(field => field.description).join(' and ');
+    return {
+      ...variant,
+      queryFields,
+      disjunct,
+      disjunctions,
+      conditions: [...variant.conditions, `disjunct ${disjunct}`],
+    };
+  });
+}
+
+/**
+ * Split a query variant with sum() / average() aggregations on several fields into one
+ * variant per aggregated field, as each aggregation needs an index with its own field
+ * @param {Object} variant - Query variant
+ * @returns {Array}
+ */
+function expandAggregations(variant) {
+  const isAggregation = (field) => FIELD_AGGREGATIONS.includes(field.operator);
+  const aggregations = variant.queryFields.filter(isAggregation);
+  if (new Set(aggregations.map(field => field.field)).size <= 1) {
+    return [variant];
+  }
+
+  const filters = variant.queryFields.filter(field => !isAggregation(field));
+  return aggregations
+    .filter((aggregation, i) => aggregations.findIndex(field => field.field === aggregation.field) === i)
+    .map(aggregation => ({
+      ...variant,
+      queryFields: [...filters, aggregation],
+      conditions: [...variant.conditions, `${aggregation.operator}(${aggregation.field})`],
+    }));
+}
+
+/**
+ * Add branch conditions to each query variant, skipping ones it already has
+ * @param {Array} variants - Query variants
+ * @param {Array<string>} conditions - Conditions to add
+ * @returns {Array}
+ */
+function withConditions(variants, conditions) {
+  return variants.map(variant => ({
+    ...variant,
+    conditions: [
+      ...conditions,
+      ...variant.conditions.filter(condition => !conditions.includes(condition)),
+    ],
+  }));
+}
+
+/**
+ * Check whether a node lies within another node
+ * @param {Object} outer - Containing node
+ * @param {Object} inner - Contained node
+ * @returns {boolean}
+ */
+function containsNode(outer, inner) {
+  return outer.range[0] <= inner.range[0] && inner.range[1] <= outer.range[1];
+}
+
+/**
+ * Find a variable by name, starting in the given scope and walking outwards
+ * @param {Object} scope - eslint-scope Scope
+ * @param {string} name - Variable name
+ * @returns {Object|null}
+ */
+function findVariable(scope, name) {
+  for (let current = scope; current; current = current.upper) {
+    const variable = current.set.get(name);
+    if (variable) {
+      return variable;
+    }
+  }
+  return null;
+}
+
+/**
+ * Combine the variants of consecutive parts of a constraint list
+ * e.g. the variants of each argument of query(), every combination gives a list
+ * @param {Array<Array<{constraints: Array<Object>, conditions: Array<string>}>>} parts - Variants of each part
+ * @returns {Array<{constraints: Array<Object>, conditions: Array<string>}>}
+ */
+function combineConstraintLists(parts) {
+  let lists = [{ constraints: [], conditions: [] }];
+  for (const options of parts) {
+    lists = lists.flatMap(list => options.map(option => ({
+      constraints: [...list.constraints, ...option.constraints],
+      conditions: [...list.conditions, ...option.conditions.filter(condition => !list.conditions.includes(condition))],
+    }))).slice(0, MAX_QUERY_VARIANTS);
+  }
+  return lists;
+}
+
+/**
+ * Check whether an identifier is the array in a `push()` or `unshift()` call
+ * e.g. `constraints` in `constraints.push(where('owner', '==', owner))`
+ * @param {Object} identifier - Identifier node
+ * @returns {boolean}
+ */
+function isArrayInsertion(identifier) {
+  const member = identifier.parent;
+  return member.type === 'MemberExpression' && member.object === identifier && !member.computed &&
+    ['push', 'unshift'].includes(member.property.name) &&
+    member.parent.type === 'CallExpression' && member.parent.callee === member;
+}
+
+/**
+ * Find the expressions a function body returns, skipping nested functions
+ * @param {Object} node - Function body, or a node inside it
+ * @param {Object} visitorKeys - Child keys by node type
+ * @returns {Array<Object>}
+ */
+function findReturnedExpressions(node, visitorKeys) {
+  if (node.type === 'ReturnStatement') {
+    return node.argument ? [node.argument] : [];
+  }
+  if (FUNCTION_TYPES.includes(node.type)) {
+    return [];
+  }
+  return (visitorKeys[node.type] || [])
+    .flatMap(key => node[key] || [])
+    .filter(child => typeof child.type === 'string')
+    .flatMap(child => findReturnedExpressions(child, visitorKeys));
+}
+
+/**
+ * Parse a collectionResolvers key written as a regular expression, `/pattern/flags`
+ * The g and y flags are left out: they make `test()` continue from the previous match.
+ * @param {string} key - Key of the collectionResolvers option
+ * @returns {RegExp|null} null when the key is a function name
+ * @throws {SyntaxError} When the pattern isn't a valid regular expression
+ */
+function parseResolverPattern(key) {
+  const patternMatch = /^\/(.+)\/([a-z]*)$/.exec(key);
+  return patternMatch ? new RegExp(patternMatch[1], patternMatch[2].replace(/[gy]/g, '')) : null;
+}
+
+/**
+ * Compile the collectionResolvers option into a list of matchers
+ * Keys are function names, or regular expressions written as `/pattern/flags`; values
+ * are a collection name (regex keys may use `$1` etc.) or `{collection, queryScope}`.
+ * Plain names are tried before patterns, patterns in the order they are listed. Invalid
+ * patterns are left out, see findInvalidCollectionResolver.
+ * @param {Object} [resolvers] - The collectionResolvers option
+ * @returns {Array<{name: string|null, pattern: RegExp|null, collection: string, queryScope: string}>}
+ */
+function compileCollectionResolvers(resolvers = {}) {
+  const compiled = Object.entries(resolvers).flatMap(([key, value]) => {
+    const { collection, queryScope = 'COLLECTION' } = typeof value === 'string' ? { collection: value } : value;
+    let pattern;
+    try {
+      pattern = parseResolverPattern(key);
+    } catch (error) {
+      return [];
+    }
+    return [{ name: pattern ? null : key, pattern, collection, queryScope }];
+  });
+
+  return [
+    ...compiled.filter(resolver => resolver.pattern === null),
+    ...compiled.filter(resolver => resolver.pattern !== null),
+  ];
+}
+
+/**
+ * Guess the collection a custom reference function returns from its name
+ * e.g. `templateCollRef` -> `templates`, `passportRef` -> `passports`
+ * @param {string} functionName - Function name ending in Ref
+ * @returns {string}
+ */
+function guessCollectionName(functionName) {
+  const collectionName = functionName
+    .replace(/CollRef$/, '')
+    .replace(/CollectionRef$/, '')
+    .replace(/Ref$/, '');
+
+  // Convert camelCase to lowercase and add 's' if not already plural
+  const collection = collectionName.charAt(0).toLowerCase() + collectionName.slice(1);
+  return collection.endsWith('s') ? collection : `${collection}s`;
+}
+
+/**
+ * Find the query expression executed by a terminal call
+ * e.g. `query.get()` (chained) or `getDocs(query)` (modular). Modular aggregations
+ * return the call itself, so the analyzer sees the aggregate spec too.
+ * @param {Object} node - CallExpression node
+ * @returns {Object|null} The query expression node, or null if this isn't a terminal call
+ */
+function getExecutedQuery(node) {
+  if (
+    node.callee.type === 'MemberExpression' &&
+    (node.callee.property.name === 'get' || 
+     node.callee.property.name === 'onSnapshot' ||
+     node.callee.property.name === 'count')
+  ) {
+    return node.callee.object;
+  }
+
+  if (
+    node.callee.type === 'Identifier' &&
+    MODULAR_TERMINAL_FUNCTIONS.includes(node.callee.name) &&
+    node.arguments.length > 0
+  ) {
+    return node.arguments[0];
+  }
+
+  if (
+    node.callee.type === 'Identifier' &&
+    MODULAR_AGGREGATE_FUNCTIONS.includes(node.callee.name) &&
+    node.arguments.length > 0
+  ) {
+    return node;
+  }
+
+  return null;
+}
+
+//------------------------------------------------------------------------------
+// Query Analyzer
+//------------------------------------------------------------------------------
+
+/**
+ * Create a query analyzer bound to the source code of a single file
+ * @param {import('eslint').SourceCode} sourceCode - Source code of the linted file
+ * @param {Object} [options]
+ * @param {Object} [options.collectionResolvers] - Functions that return collection references, see compileCollectionResolvers
+ * @param {boolean} [options.inferCollectionNames] - Guess the collection of other `...Ref()` methods from their name
+ * @param {boolean} [options.typeAware] - Use the TypeScript type checker to confirm executed queries
+ *   and to find the collection of typed references, see createFirestoreTypes
+ * @param {boolean} [options.followHelpers] - Follow the return values of helper functions, and the
+ *   references and helpers imported from local modules
+ * @param {Object} [file] - The linted file, needed to follow imports
+ * @param {string} [file.filename] - Absolute path of the file
+ * @param {Object} [file.languageOptions] - Language options the file was parsed with, imported modules are parsed the same way
+ * @param {Map} [file.analyzers] - Analyzers of imported modules by path, shared by the analyzers of a lint run
+ * @returns {{analyzeCallChain: Function, resolveExport: Function, missingTypeInformation: boolean}}
+ *   missingTypeInformation is set when typeAware is on, but the file has no type information
+ */
+function createQueryAnalyzer(
+  sourceCode,
+  { collectionResolvers, inferCollectionNames = true, typeAware = false, followHelpers = false } = {},
+  { filename = null, languageOptions = null, analyzers = new Map() } = {}
+) {
+  const resolvers = compileCollectionResolvers(collectionResolvers);
+  // A file parsed without type information, e.g. a JavaScript file in a TypeScript project,
+  // is analyzed syntactically; the rules report that typeAware didn't apply to it
+  const firestoreTypes = typeAware && hasTypeInformation(sourceCode) ? createFirestoreTypes(sourceCode) : null;
+
+  /**
+   * Find the collection returned by a call to a collection reference function
+   * @param {string} functionName - Name of the called function or method
+   * @param {boolean} allowGuess - Whether to fall back to guessing from a `...Ref` name
+   * @returns {{collection: string, queryScope: string}|null}
+   */
+  function resolveCollectionReference(functionName, allowGuess) {
+    for (const { name, pattern, collection, queryScope } of resolvers) {
+      if (name === functionName) {
+        return { collection, queryScope };
+      }
+      if (pattern && pattern.test(functionName)) {
+        return { collection: functionName.replace(pattern, collection), queryScope };
+      }
+    }
+
+    if (allowGuess && inferCollectionNames && functionName.endsWith('Ref')) {
+      return { collection: guessCollectionName(functionName), queryScope: 'COLLECTION' };
+    }
+    return null;
+  }
+
+  /**
+   * Find the collection of a query or collection reference from its type, in type-aware mode
+   * e.g. `orders` for a parameter of type `CollectionReference<Order>`. The document type
+   * name is looked up in collectionResolvers, or else turned into a collection name.
+   * @param {Object} node - Expression node
+   * @returns {{collection: string, queryScope: string}|null}
+   */
+  function resolveTypedReference(node) {
+    const typed = firestoreTypes && firestoreTypes.getDocumentTypeName(node);
+    if (!typed) {
+      return null;
+    }
+
+    const { documentTypeName, typeName } = typed;
+    const reference = resolveCollectionReference(documentTypeName, false) ||
+      (inferCollectionNames ? { collection: guessCollectionName(documentTypeName), queryScope: 'COLLECTION' } : null);
+    if (reference && typeName === 'CollectionGroup') {
+      return { ...reference, queryScope: 'COLLECTION_GROUP' };
+    }
+    return reference;
+  }
+
+  /**
+   * Describe the branch of a condition, used to label query variants
+   * e.g. `if (organizationId)` gives "with organizationId" / "without organizationId"
+   * @param {Object} test - Condition node
+   * @param {boolean} taken - Whether the branch is taken
+   * @returns {string}
+   */
+  function describeCondition(test, taken) {
+    if (test.type === 'UnaryExpression' && test.operator === '!') {
+      return describeCondition(test.argument, !taken);
+    }
+
+    const text = sourceCode.getText(test);
+    if (test.type === 'Identifier' || test.type === 'MemberExpression') {
+      return taken ? `with ${text}` : `without ${text}`;
+    }
+    return taken ? `when ${text}` : `when not (${text})`;
+  }
+
+  /**
+   * Describe a clause of a switch statement, used to label query variants
+   * e.g. `case 'recent':` gives `case "recent"`, `default:` gives "default"
+   * @param {Object} switchCase - SwitchCase node
+   * @returns {string}
+   */
+  function describeCase(switchCase) {
+    if (switchCase.test === null) {
+      return 'default';
+    }
+    const { test } = switchCase;
+    return `case ${test.type === 'Literal' ? JSON.stringify(test.value) : sourceCode.getText(test)}`;
+  }
+
+  /**
+   * Get the initial value of a variable that is never reassigned
+   * @param {Object} identifier - Identifier node reading the variable
+   * @returns {Object|null} Initializer node
+   */
+  function getConstantValue(identifier) {
+    const variable = findVariable(sourceCode.getScope(identifier), identifier.name);
+    if (!variable || variable.defs.length !== 1 || variable.defs[0].type !== 'Variable') {
+      return null;
+    }
+
+    const declarator = variable.defs[0].node;
+    const reassigned = variable.references.some(reference => reference.isWrite() && reference.identifier !== declarator.id);
+    return reassigned ? null : declarator.init;
+  }
+
+  /**
+   * Find the object literal or TypeScript enum an expression always refers to
+   * e.g. `Fields` for `const Fields = { STATUS: 'status' } as const` or `enum Fields { ... }`
+   * @param {Object} node - Expression node
+   * @param {number} depth - Number of variables followed so far
+   * @returns {Object|null} ObjectExpression or TSEnumDeclaration node
+   */
+  function resolveStaticObject(node, depth) {
+    if (!node || depth >= MAX_CONSTANT_DEPTH) {
+      return null;
+    }
+
+    switch (node.type) {
+      case 'ObjectExpression':
+        return node;
+      case 'TSAsExpression':
+      case 'TSSatisfiesExpression':
+      case 'TSNonNullExpression':
+        return resolveStaticObject(node.expression, depth);
+      case 'CallExpression':
+        // Object.freeze({ ... })
+        return node.callee.type === 'MemberExpression' && node.callee.property.name === 'freeze' && node.arguments.length === 1
+          ? resolveStaticObject(node.arguments[0], depth)
+          : null;
+      case 'MemberExpression':
+        return resolveStaticObject(resolveStaticMember(node, depth), depth + 1);
+      case 'Identifier': {
+        const variable = findVariable(sourceCode.getScope(node), node.name);
+        const def = variable && variable.defs.length === 1 ? variable.defs[0] : null;
+        if (def && def.type === 'TSEnumName') {
+          return def.node;
+        }
+        return resolveStaticObject(getConstantValue(node), depth + 1);
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Find the value of a property of a constant object or an enum member
+   * e.g. the `'status'` literal for `Fields.STATUS`
+   * @param {Object} node - MemberExpression node
+   * @param {number} depth - Number of variables followed so far
+   * @returns {Object|null} Value node
+   */
+  function resolveStaticMember(node, depth) {
+    const key = node.computed ? resolveStaticString(node.property, depth + 1) : node.property.name;
+    const object = key === null ? null : resolveStaticObject(node.object, depth + 1);
+    if (!object) {
+      return null;
+    }
+
+    if (object.type === 'TSEnumDeclaration') {
+      const members = object.body ? object.body.members : object.members;
+      const member = members.find(m => (m.id.type === 'Identifier' ? m.id.name : m.id.value) === key);
+      return member ? member.initializer || null : null;
+    }
+
+    const property = object.properties.find(p =>
+      p.type === 'Property' && !p.computed && (p.key.type === 'Identifier' ? p.key.name : p.key.value) === key);
+    return property ? property.value : null;
+  }
+
+  /**
+   * Evaluate an expression that always has the same string value
+   * e.g. `'analytics'`, a constant initialized with one, a property of a constant object,
+   * a string enum member, or a template literal or concatenation of these
+   * @param {Object} node - Expression node
+   * @param {number} [depth] - Number of variables followed so far
+   * @returns {string|null} The value, or null when it isn't known statically
+   */
+  function resolveStaticString(node, depth = 0) {
+    if (!node || depth >= MAX_CONSTANT_DEPTH) {
+      return null;
+    }
+
+    switch (node.type) {
+      case 'Literal':
+        return typeof node.value === 'string' ? node.value : null;
+      case 'TemplateLiteral': {
+        const values = node.expressions.map(expression => resolveStaticString(expression, depth + 1));
+        if (values.includes(null)) {
+          return null;
+        }
+        return node.quasis.map((quasi, i) => quasi.value.cooked + (i < values.length ? values[i] : '')).join('');
+      }
+      case 'BinaryExpression': {
+        const left = node.operator === '+' ? resolveStaticString(node.left, depth + 1) : null;
+        const right = left === null ? null : resolveStaticString(node.right, depth + 1);
+        return right === null ? null : left + right;
+      }
+      case 'TSAsExpression':
+      case 'TSSatisfiesExpression':
+      case 'TSNonNullExpression':
+        return resolveStaticString(node.expression, depth);
+      case 'MemberExpression':
+        return resolveStaticString(resolveStaticMember(node, depth), depth + 1);
+      case 'Identifier': {
+        const value = getConstantValue(node);
+        return value ? resolveStaticString(value, depth + 1) : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Resolve a field argument of where(), orderBy() etc. to a field path
+   * Besides static strings, accepts `new FieldPath('address', 'zip')` (gives `address.zip`)
+   * and `FieldPath.documentId()` / `documentId()` (gives `__name__`), also through constants.
+   * @param {Object} node - Field argument node
+   * @param {number} [depth] - Number of variables followed so far
+   * @returns {string|null} The field path, or null when it isn't known statically
+   */
+  function resolveFieldPath(node, depth = 0) {
+    if (!node || depth >= MAX_CONSTANT_DEPTH) {
+      return null;
+    }
+
+    const calleeName = (node.type === 'CallExpression' || node.type === 'NewExpression') &&
+      (node.callee.type === 'MemberExpression' ? node.callee.property.name : node.callee.name);
+
+    if (node.type === 'CallExpression' && calleeName === 'documentId' && node.arguments.length === 0) {
+      return '__name__';
+    }
+    if (node.type === 'NewExpression' && calleeName === 'FieldPath' && node.arguments.length > 0) {
+      const segments = node.arguments.map(arg => resolveStaticString(arg, depth + 1));
+      return segments.includes(null) ? null : segments.join('.');
+    }
+    if (node.type === 'Identifier') {
+      const value = getConstantValue(node);
+      if (value && (value.type === 'CallExpression' || value.type === 'NewExpression')) {
+        return resolveFieldPath(value, depth + 1);
+      }
+    }
+    return resolveStaticString(node, depth);
+  }
+
+  /**
+   * Get the collection ID a collection path refers to: its last segment
+   * e.g. `orders` for `'tenants/t1/orders'`, `` `tenants/${id}/orders` `` or
+   * `'tenants/' + id + '/orders'`. The segments before the last may be unknown.
+   * @param {Object} node - Collection path argument node
+   * @returns {string|null} The collection ID, or null when it isn't known statically
+   */
+  function resolveCollectionId(node) {
+    const path = resolveStaticString(node);
+    let suffix = path;
+    if (path === null && node.type === 'TemplateLiteral') {
+      suffix = node.quasis[node.quasis.length - 1].value.cooked;
+    } else if (path === null && node.type === 'BinaryExpression' && node.operator === '+') {
+      suffix = resolveStaticString(node.right);
+    }
+    if (suffix === null || (path === null && !suffix.includes('/'))) {
+      return null;
+    }
+    return suffix.split('/').filter(Boolean).pop() || null;
+  }
+
+  /**
+   * Work out which database a Firestore instance (or a reference created from one) uses
+   * Recognizes `getFirestore(app, 'id')`, `getFirestore('id')`,
+   * `initializeFirestore(app, settings, 'id')` and `new Firestore({ databaseId: 'id' })`;
+   * any other instance is assumed to use the default database.
+   * @param {Object} node - Expression evaluating to a Firestore instance or reference
+   * @param {number} [depth] - Number of variables followed so far
+   * @returns {string|null} Database id, or null when it's set but can't be determined
+   */
+  function resolveDatabase(node, depth = 0) {
+    if (!node || depth > MAX_CONSTANT_DEPTH) {
+      return DEFAULT_DATABASE;
+    }
+
+    if (node.type === 'TSAsExpression' || node.type === 'TSNonNullExpression' || node.type === 'ChainExpression') {
+      return resolveDatabase(node.expression, depth);
+    }
+
+    if (node.type === 'Identifier') {
+      return resolveDatabase(getConstantValue(node), depth + 1);
+    }
+
+    const callee = (node.type === 'CallExpression' || node.type === 'NewExpression') && node.callee;
+    const calleeName = callee && (callee.type === 'MemberExpression' ? callee.property.name : callee.name);
+    const args = node.arguments;
+
+    if (node.type === 'NewExpression' && calleeName === 'Firestore') {
+      const settings = args[0] && args[0].type === 'ObjectExpression' ? args[0] : null;
+      const databaseId = settings && settings.properties.find(property =>
+        property.type === 'Property' && !property.computed &&
+        (property.key.name === 'databaseId' || property.key.value === 'databaseId'));
+      return databaseId ? resolveStaticString(databaseId.value) : DEFAULT_DATABASE;
+    }
+
+    if (node.type !== 'CallExpression') {
+      return DEFAULT_DATABASE;
+    }
+
+    if (calleeName === 'getFirestore') {
+      if (args.length >= 2) {
+        return resolveStaticString(args[1]);
+      }
+      // getFirestore(app) or getFirestore('id')
+      return (args.length === 1 && resolveStaticString(args[0])) || DEFAULT_DATABASE;
+    }
+
+    if (calleeName === 'initializeFirestore') {
+      return args.length >= 3 ? resolveStaticString(args[2]) : DEFAULT_DATABASE;
+    }
+
+    // References created from another reference use its database:
+    // db.collection('users').doc(id), collection(doc(db, 'users', id), 'orders')
+    if (calleeName === 'collection' || calleeName === 'doc') {
+      if (callee.type === 'MemberExpression') {
+        return resolveDatabase(callee.object, depth);
+      }
+      return args.length > 0 ? resolveDatabase(args[0], depth) : DEFAULT_DATABASE;
+    }
+
+    return DEFAULT_DATABASE;
+  }
+
+  /**
+   * Parse a filter built with the Filter class or the modular or() / and() helpers
+   * e.g. `Filter.or(Filter.where('a', '==', 1), Filter.where('b', '==', 2))`
+   * Filters inside or() / and() keep their source as `description`, to name disjuncts.
+   * @param {Object} node - Filter expression node
+   * @returns {Object|null} Query field, or `{operator: 'or'|'and', filters}` for composite filters
+   */
+  function parseFilter(node) {
+    if (node.type !== 'CallExpression') {
+      return null;
+    }
+
+    const { callee } = node;
+    const name = callee.type === 'MemberExpression' && isFilterClass(callee.object)
+      ? callee.property.name
+      : callee.type === 'Identifier' && callee.name;
+
+    if (name === 'where') {
+      const field = parseWhere(node.arguments, resolveFieldPath);
+      const fieldText = field && (field.field === null ? sourceCode.getText(field.fieldNode) : field.field);
+      return field && {
+        ...field,
+        description: node.arguments.length > 2
+          ? `${fieldText} ${field.operator} ${sourceCode.getText(node.arguments[2])}`
+          : `${fieldText} ${field.operator}`,
+      };
+    }
+    if (name === 'or' || name === 'and') {
+      const filters = node.arguments.map(parseFilter).filter(Boolean);
+      return filters.length > 0 ? { operator: name, filters } : null;
+    }
+    return null;
+  }
+
+  // Variables currently being resolved, guards against cyclic definitions
+  const resolvingVariables = new Set();
+
+  /**
+   * Resolve the possible query variants held by an identifier
+   * @param {Object} identifier - Identifier node
+   * @param {Map} env - Variants already known for variables being simulated
+   * @param {Function} [evaluate] - Works out the variants of an assigned value, see resolveVariable
+   * @param {Function} [mutate] - Applies a push() or unshift() call to a variant, see resolveVariable
+   * @returns {Array}
+   */
+  function resolveIdentifier(identifier, env, evaluate = walkCallChain, mutate = null) {
+    const variable = findVariable(sourceCode.getScope(identifier), identifier.name);
+    if (!variable) {
+      return [];
+    }
+    if (env.has(variable)) {
+      return env.get(variable);
+    }
+    if (resolvingVariables.has(variable)) {
+      return [];
+    }
+
+    resolvingVariables.add(variable);
+    try {
+      return resolveVariable(variable, identifier, evaluate, mutate);
+    } finally {
+      resolvingVariables.delete(variable);
+    }
+  }
+
+  /**
+   * Work out every query variant a variable can hold at the point it is used
+   * Follows the declaration and any reassignments before the use, branching on
+   * if/else, switch and loop statements that reassign the variable:
+   *
+   *   let query = db.collection('items').where('status', '==', 'active');
+   *   if (organizationId) {
+   *     query = query.where('organizationId', '==', organizationId);
+   *   }
+   *   query.get(); // two variants: without and with organizationId
+   *
+   * Variables holding constraint arrays are followed the same way, with `evaluate` and
+   * `mutate` working out arrays and the `push()` and `unshift()` calls that change them.
+   * @param {Object} variable - eslint-scope Variable
+   * @param {Object} useNode - Identifier node where the variable is read
+   * @param {Function} [evaluate] - Works out the variants of an assigned value, `(node, env) => variants`
+   * @param {Function} [mutate] - Applies a `push()` or `unshift()` call on the variable to a variant,
+   *   `(variant, call, env) => variants`; without it such calls are ignored
+   * @returns {Array}
+   */
+  function resolveVariable(variable, useNode, evaluate = walkCallChain, mutate = null) {
+    if (evaluate === walkCallChain && followHelpers && variable.defs.length === 1 && variable.defs[0].type === 'ImportBinding') {
+      return resolveImport(variable.defs[0], false);
+    }
+    if (variable.defs.length !== 1 || variable.defs[0].type !== 'Variable') {
+      return [];
+    }
+
+    const declarator = variable.defs[0].node;
+    const declaration = variable.defs[0].parent;
+    const writes = variable.references.filter(reference => reference.isWrite());
+    const mutations = mutate ? variable.references.filter(reference => isArrayInsertion(reference.identifier)) : [];
+    const container = declaration.parent;
+    const statements = container && (container.type === 'SwitchCase' ? container.consequent : container.body);
+
+    // Without reassignments (or insertions) the variable always holds its initial value
+    const reassigned = writes.some(reference => reference.identifier !== declarator.id);
+    if ((!reassigned && mutations.length === 0) || !Array.isArray(statements) || !containsNode(container, useNode)) {
+      return declarator.init ? evaluate(declarator.init, new Map()) : [];
+    }
+
+    let reached = false;
+
+    const containsWrite = (node) => [...writes, ...mutations].some(reference => containsNode(node, reference.identifier));
+
+    const evaluateAssignment = (valueNode, states) => states.flatMap(state => withConditions(
+      evaluate(valueNode, state.unassigned ? new Map() : new Map([[variable, [state]]])),
+      state.conditions
+    )).slice(0, MAX_QUERY_VARIANTS);
+
+    const simulateStatements = (body, states) => {
+      for (const statement of body) {
+        if (reached) {
+          break;
+        }
+        states = simulateStatement(statement, states);
+      }
+      return states;
+    };
+
+    const simulateBranch = (test, branch, states, taken) => {
+      const branchStates = withConditions(states, [describeCondition(test, taken)]);
+      return branch ? simulateStatement(branch, branchStates) : branchStates;
+    };
+
+    const simulateStatement = (statement, states) => {
+      if (containsNode(statement, useNode)) {
+        // Only follow the path that leads to the use
+        switch (statement.type) {
+          case 'BlockStatement':
+            return simulateStatements(statement.body, states);
+          case 'IfStatement':
+            if (statement.consequent && containsNode(statement.consequent, useNode)) {
+              return simulateBranch(statement.test, statement.consequent, states, true);
+            }
+            if (statement.alternate && containsNode(statement.alternate, useNode)) {
+              return simulateBranch(statement.test, statement.alternate, states, false);
+            }
+            break;
+          case 'TryStatement':
+            return simulateStatement(statement.block, states);
+          default:
+            break;
+        }
+        reached = true;
+        return states;
+      }
+
+      if (!containsWrite(statement)) {
+        return states;
+      }
+
+      switch (statement.type) {
+        case 'VariableDeclaration':
+          return statement === declaration && declarator.init ? evaluate(declarator.init, new Map()) : states;
+        case 'ExpressionStatement': {
+          const expression = statement.expression;
+          if (
+            expression.type === 'AssignmentExpression' &&
+            expression.operator === '=' &&
+            writes.some(reference => reference.identifier === expression.left)
+          ) {
+            return evaluateAssignment(expression.right, states);
+          }
+          if (expression.type === 'CallExpression' && mutations.some(reference => reference.identifier === expression.callee.object)) {
+            // constraints.push(where(...))
+            return states
+              .flatMap(state => (state.unassigned ? [] : mutate(state, expression, new Map([[variable, [state]]]))))
+              .slice(0, MAX_QUERY_VARIANTS);
+          }
+          return states;
+        }
+        case 'BlockStatement':
+          return simulateStatements(statement.body, states);
+        case 'IfStatement':
+          return [
+            ...simulateBranch(statement.test, statement.consequent, states, true),
+            ...simulateBranch(statement.test, statement.alternate, states, false),
+          ].slice(0, MAX_QUERY_VARIANTS);
+        case 'ForStatement':
+        case 'ForInStatement':
+        case 'ForOfStatement':
+        case 'WhileStatement':
+          // The body may run zero or more times; assume at most once
+          return [
+            ...withConditions(states, ['without loop']),
+            ...simulateStatement(statement.body, withConditions(states, ['in loop'])),
+          ].slice(0, MAX_QUERY_VARIANTS);
+        case 'DoWhileStatement':
+          return simulateStatement(statement.body, states);
+        case 'SwitchStatement': {
+          const caseStates = statement.cases.flatMap(switchCase =>
+            simulateStatements(switchCase.consequent, withConditions(states, [describeCase(switchCase)]))
+          );
+          const hasDefault = statement.cases.some(switchCase => switchCase.test === null);
+          return [...(hasDefault ? [] : withConditions(states, ['no matching case'])), ...caseStates].slice(0, MAX_QUERY_VARIANTS);
+        }
+        case 'TryStatement':
+          return simulateStatement(statement.block, states);
+        default:
+          return states;
+      }
+    };
+
+    // A variable declared without a value (`let query;`) starts out unassigned on every path,
+    // until an assignment gives it a query
+    const initialStates = declarator.init ? [] : [{ unassigned: true, conditions: [] }];
+    return simulateStatements(statements, initialStates).filter(state => !state.unassigned);
+  }
+
+  /**
+   * Work out every list of constraints a list of query() arguments can hold
+   * Arguments spread from a constraint array contribute the constraints of each variant of the array:
+   *
+   *   const constraints = [where('status', '==', 'open')];
+   *   if (owner) {
+   *     constraints.push(where('owner', '==', owner));
+   *   }
+   *   query(ref, ...constraints, orderBy('createdAt')); // without and with owner
+   *
+   * A spread array that can't be worked out contributes no constraints.
+   * @param {Array<Object>} args - Argument or array element nodes, possibly SpreadElements
+   * @param {Map} env - Variants already known for variables being simulated
+   * @returns {Array<{constraints: Array<Object>, conditions: Array<string>}>}
+   */
+  function resolveConstraintLists(args, env) {
+    return combineConstraintLists(args.map(arg => (arg.type === 'SpreadElement'
+      ? resolveConstraintArray(arg.argument, env) || [{ constraints: [], conditions: [] }]
+      : [{ constraints: [arg], conditions: [] }])));
+  }
+
+  /**
+   * Work out every list of constraints an array expression can hold
+   * Follows array literals, `concat()` calls, conditional expressions, and variables
+   * with their reassignments and `push()` / `unshift()` calls.
+   * @param {Object} node - Expression node
+   * @param {Map} env - Variants already known for variables being simulated
+   * @returns {Array<{constraints: Array<Object>, conditions: Array<string>}>|null} null when the
+   *   expression isn't a constraint array that can be worked out
+   */
+  function resolveConstraintArray(node, env) {
+    switch (node.type) {
+      case 'ArrayExpression':
+        return resolveConstraintLists(node.elements.filter(Boolean), env);
+      case 'TSAsExpression':
+      case 'TSSatisfiesExpression':
+      case 'TSNonNullExpression':
+        return resolveConstraintArray(node.expression, env);
+      case 'ConditionalExpression': {
+        const consequent = resolveConstraintArray(node.consequent, env);
+        const alternate = resolveConstraintArray(node.alternate, env);
+        return consequent && alternate ? [
+          ...withConditions(consequent, [describeCondition(node.test, true)]),
+          ...withConditions(alternate, [describeCondition(node.test, false)]),
+        ].slice(0, MAX_QUERY_VARIANTS) : null;
+      }
+      case 'CallExpression': {
+        // constraints.concat(where(...), [orderBy(...)]) takes arrays and single constraints
+        const callee = node.callee;
+        if (callee.type !== 'MemberExpression' || callee.computed || callee.property.name !== 'concat') {
+          return null;
+        }
+        const base = resolveConstraintArray(callee.object, env);
+        return base && combineConstraintLists([
+          base,
+          ...node.arguments.map(arg => resolveConstraintArray(arg, env) || [{ constraints: [arg], conditions: [] }]),
+        ]);
+      }
+      case 'Identifier': {
+        const lists = resolveIdentifier(node, env, (value, valueEnv) => resolveConstraintArray(value, valueEnv) || [], insertConstraints);
+        return lists.length > 0 ? lists : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Apply a `push()` or `unshift()` call to a variant of a constraint array
+   * @param {{constraints: Array<Object>, conditions: Array<string>}} list - Variant of the array
+   * @param {Object} call - CallExpression node
+   * @param {Map} env - Variants already known for variables being simulated
+   * @returns {Array<{constraints: Array<Object>, conditions: Array<string>}>}
+   */
+  function insertConstraints(list, call, env) {
+    const added = resolveConstraintLists(call.arguments, env);
+    return call.callee.property.name === 'unshift'
+      ? combineConstraintLists([added, [list]])
+      : combineConstraintLists([[list], added]);
+  }
+
+  /**
+   * Parse the constraints passed to a modular query() call
+   * @param {Array<Object>} constraints - Constraint nodes, in argument order
+   * @returns {{fields: Array, limitToLast: boolean}}
+   */
+  function parseConstraints(constraints) {
+    const fields = [];
+    let limitToLast = false;
+    for (const constraint of constraints) {
+      const field = parseQueryConstraint(constraint, resolveFieldPath) || parseFilter(constraint);
+      if (field) {
+        fields.push(field);
+      }
+      if (constraint.type === 'CallExpression' && constraint.callee.name === 'limitToLast') {
+        limitToLast = true;
+      }
+    }
+    return { fields, limitToLast };
+  }
+
+  // Helper functions currently being followed, guards against recursion
+  const followingFunctions = new Set();
+
+  /**
+   * Work out every query variant a call to a helper function can return
+   * The helper is a function declared in this file, or imported from a local module:
+   *
+   *   function activeOrders(db) {
+   *     return db.collection('orders').where('status', '==', 'active');
+   *   }
+   *   activeOrders(db).orderBy('createdAt', 'desc').get(); // status and createdAt
+   *
+   * @param {Object} callee - Identifier node of the called helper
+   * @returns {Array}
+   */
+  function resolveHelperCall(callee) {
+    const variable = findVariable(sourceCode.getScope(callee), callee.name);
+    const definition = variable && variable.defs.length === 1 ? variable.defs[0] : null;
+    if (!definition) {
+      return [];
+    }
+    if (definition.type === 'ImportBinding') {
+      return resolveImport(definition, true);
+    }
+
+    const helper = definition.type === 'FunctionName' ? definition.node : getConstantValue(definition.name);
+    return helper && FUNCTION_TYPES.includes(helper.type) ? followHelper(helper, callee.name) : [];
+  }
+
+  /**
+   * Work out every query variant a helper function returns
+   * A helper with several return statements gives a variant for each of them.
+   * @param {Object} helper - Function node
+   * @param {string} name - Name the helper is called by, used to label variants
+   * @returns {Array}
+   */
+  function followHelper(helper, name) {
+    if (followingFunctions.has(helper)) {
+      return [];
+    }
+
+    followingFunctions.add(helper);
+    try {
+      const returned = helper.body.type === 'BlockStatement'
+        ? findReturnedExpressions(helper.body, sourceCode.visitorKeys)
+        : [helper.body];
+      return returned.flatMap(expression => withConditions(
+        walkCallChain(expression),
+        returned.length > 1 ? [`${name}() returning on line ${expression.loc.start.line}`] : []
+      )).slice(0, MAX_QUERY_VARIANTS);
+    } finally {
+      followingFunctions.delete(helper);
+    }
+  }
+
+  /**
+   * Get the analyzer of a local module this file imports from
+   * @param {string} specifier - Import specifier, e.g. `'./refs'`
+   * @returns {Object|null} null for package imports and modules that can't be read or parsed
+   */
+  function getModuleAnalyzer(specifier) {
+    const loaded = filename && languageOptions && loadModule(filename, specifier, languageOptions);
+    if (!loaded) {
+      return null;
+    }
+    if (!analyzers.has(loaded.filePath)) {
+      // Imported modules are parsed without type information, so they're analyzed syntactically
+      const options = { collectionResolvers, inferCollectionNames, followHelpers };
+      const file = { filename: loaded.filePath, languageOptions, analyzers };
+      analyzers.set(loaded.filePath, createQueryAnalyzer(loaded.sourceCode, options, file));
+    }
+    return analyzers.get(loaded.filePath);
+  }
+
+  /**
+   * Work out the query variants of a binding imported from a local module
+   * e.g. `usersRef` for `import { usersRef } from './refs'`
+   * @param {Object} definition - eslint-scope ImportBinding definition
+   * @param {boolean} called - Whether the binding is called as a helper function
+   * @returns {Array}
+   */
+  function resolveImport(definition, called) {
+    const specifier = definition.node;
+    if (specifier.type === 'ImportNamespaceSpecifier') {
+      return [];
+    }
+
+    const analyzer = getModuleAnalyzer(definition.parent.source.value);
+    const importedName = specifier.type === 'ImportDefaultSpecifier'
+      ? 'default'
+      : specifier.imported.name || specifier.imported.value;
+    return analyzer ? analyzer.resolveExport(importedName, called) : [];
+  }
+
+  /**
+   * Replace the node of an unresolved field by its source text
+   * @param {Object} field - Query field, possibly a composite filter
+   * @returns {Object}
+   */
+  function withFieldText(field) {
+    if (field.filters) {
+      return { ...field, filters: field.filters.map(withFieldText) };
+    }
+    if (!field.fieldNode) {
+      return field;
+    }
+    const { fieldNode, ...rest } = field;
+    return { ...rest, fieldText: sourceCode.getText(fieldNode) };
+  }
+
+  // Exports currently being resolved, guards against cyclic re-exports
+  const resolvingExports = new Set();
+
+  /**
+   * Find the query variants of an export of this module
+   * Supports exported declarations, `export { name }`, re-exports and default exports.
+   * @param {string} name - Exported name, `default` for the default export
+   * @param {boolean} called - Whether the export is called as a helper function
+   * @returns {Array}
+   */
+  function findExportVariants(name, called) {
+    const resolveBinding = (identifier) => (called ? resolveHelperCall(identifier) : resolveIdentifier(identifier, new Map()));
+
+    for (const statement of sourceCode.ast.body) {
+      if (statement.type === 'ExportNamedDeclaration') {
+        const declaration = statement.declaration;
+        const ids = !declaration ? [] : declaration.type === 'VariableDeclaration'
+          ? declaration.declarations.map(declarator => declarator.id)
+          : [declaration.id];
+        const id = ids.find(node => node && node.type === 'Identifier' && node.name === name);
+        if (id) {
+          return resolveBinding(id);
+        }
+
+        const specifier = statement.specifiers.find(node => (node.exported.name || node.exported.value) === name);
+        if (specifier && statement.source) {
+          // export { usersRef } from './refs'
+          const analyzer = getModuleAnalyzer(statement.source.value);
+          return analyzer ? analyzer.resolveExport(specifier.local.name || specifier.local.value, called) : [];
+        }
+        if (specifier) {
+          return resolveBinding(specifier.local);
+        }
+      } else if (statement.type === 'ExportDefaultDeclaration' && name === 'default') {
+        const declaration = statement.declaration;
+        if (FUNCTION_TYPES.includes(declaration.type)) {
+          return called ? followHelper(declaration, declaration.id ? declaration.id.name : name) : [];
+        }
+        if (declaration.type === 'Identifier') {
+          return resolveBinding(declaration);
+        }
+        return called ? [] : walkCallChain(declaration);
+      }
+    }
+    return [];
+  }
+
+  /**
+   * Work out the query variants of an export of this module, for the analyzer of a module importing it
+   * @param {string} name - Exported name, `default` for the default export
+   * @param {boolean} called - Whether the export is called as a helper function
+   * @returns {Array}
+   */
+  function resolveExport(name, called) {
+    const key = `${name}:${called}`;
+    if (resolvingExports.has(key)) {
+      return [];
+    }
+
+    resolvingExports.add(key);
+    try {
+      // The nodes of unresolved fields mean nothing to the importing module
+      return findExportVariants(name, called).map(variant => ({
+        ...variant,
+        queryFields: variant.queryFields.map(withFieldText),
+      }));
+    } finally {
+      resolvingExports.delete(key);
+    }
+  }
+
+  /**
+   * Extract query information from entire call chain
+   * Walks backward from any node to find collection and all query operations.
+   * Supports both the chained (namespaced/admin) syntax, e.g.
+   * `db.collection('orders').where(...).orderBy(...)`, and the modular (v9+) syntax, e.g.
+   * `query(collection(db, 'orders'), where(...), orderBy(...))`.
+   *
+   * When the chain starts from a variable or a conditional expression, every query
+   * the expression can evaluate to is returned as a separate variant. Composite
+   * filters are kept as `{operator: 'or'|'and', filters}` query fields.
+   *
+   * @param {Object} node - Query expression node
+   * @param {Map} [env] - Variants already known for variables being simulated
+   * @returns {Array<{collection: string|null, queryScope: string, database: string|null, queryFields: Array, limitToLast: boolean, conditions: Array<string>}>}
+   */
+  function walkCallChain(node, env = new Map()) {
+    const queryFields = [];
+    let limitToLast = false;
+    let currentNode = node;
+
+    // Add what this part of the chain adds to the variants of the query it starts from
+    const extendVariants = (variants) => variants.map(variant => ({
+      ...variant,
+      queryFields: [...variant.queryFields, ...queryFields],
+      limitToLast: variant.limitToLast || limitToLast,
+    }));
+
+    // Walk backwards through the call chain
+    while (currentNode) {
+      if (currentNode.type === 'ChainExpression' || currentNode.type === 'TSAsExpression' || currentNode.type === 'TSNonNullExpression') {
+        currentNode = currentNode.expression;
+        continue;
+      }
+
+      if (currentNode.type === 'Identifier') {
+        // Query stored in a variable: continue from every value it can hold
+        const variants = resolveIdentifier(currentNode, env);
+        if (variants.length > 0 || !firestoreTypes) {
+          return extendVariants(variants);
+        }
+        break; // e.g. a parameter, fall back on its type
+      }
+
+      if (currentNode.type === 'ConditionalExpression') {
+        const { test, consequent, alternate } = currentNode;
+        return extendVariants([
+          ...withConditions(walkCallChain(consequent, env), [describeCondition(test, true)]),
+          ...withConditions(walkCallChain(alternate, env), [describeCondition(test, false)]),
+        ].slice(0, MAX_QUERY_VARIANTS));
+      }
+
+      if (currentNode.type !== 'CallExpression') {
+        break;
+      }
+
+      if (currentNode.callee && currentNode.callee.type === 'MemberExpression') {
+        const methodName = currentNode.callee.property.name;
+        
+        // Firestore only accepts limitToLast() with an orderBy(), see the firestore-query-validity rule
+        if (methodName === 'limitToLast') {
+          limitToLast = true;
+        }
+
+        // Skip methods that don't affect index requirements
+        if (methodName === 'limit' || methodName === 'limitToLast' || methodName === 'offset' || methodName === 'startAt' || 
+            methodName === 'startAfter' || methodName === 'endAt' || methodName === 'endBefore') {
+          // These methods don't affect index requirements, continue walking the chain
+          currentNode = currentNode.callee.object;
+          continue;
+        }
+        
+        if (methodName === 'where') {
+          // .where(Filter.or(...)) takes a single filter, .where('field', '==', value) three arguments
+          const field = currentNode.arguments.length === 1
+            ? parseFilter(currentNode.arguments[0])
+            : parseWhere(currentNode.arguments, resolveFieldPath);
+          if (field) {
+            queryFields.unshift(field);
+          }
+        } else if (methodName === 'orderBy') {
+          const field = parseOrderBy(currentNode.arguments, resolveFieldPath);
+          if (field) {
+            queryFields.unshift(field);
+          }
+        } else if (methodName === 'aggregate') {
+          // .aggregate({ total: AggregateField.sum('amount') }) reads the aggregated fields
+          queryFields.push(...parseAggregateSpec(currentNode.arguments[0], resolveFieldPath));
+        } else if (methodName === 'findNearest') {
+          // Vector search, executed with .get() on the returned vector query
+          const field = parseFindNearest(currentNode.arguments, resolveFieldPath);
+          if (field) {
+            queryFields.unshift(field);
+          }
+        } else if ((methodName === 'collection' || methodName === 'collectionGroup') && currentNode.arguments.length > 0) {
+          // db.collection('tenants/t1/orders') and db.collection('tenants').doc(id).collection('orders')
+          // both query the orders collection group
+          const collection = resolveCollectionId(currentNode.arguments[0]);
+          const queryScope = methodName === 'collectionGroup' ? 'COLLECTION_GROUP' : 'COLLECTION';
+          const database = resolveDatabase(currentNode.callee.object);
+          return [{ collection, queryScope, database, queryFields, limitToLast, conditions: [] }]; // Stop at collection()
+        } else if (methodName) {
+          // Custom collection reference functions like templateCollRef(), passportCollRef()
+          const reference = resolveCollectionReference(methodName, true);
+          if (reference) {
+            const database = resolveDatabase(currentNode.callee.object);
+            return [{ ...reference, database, queryFields, limitToLast, conditions: [] }]; // Stop at custom collection reference
+          }
+        }
+        
+        // Move to the object being called on
+        currentNode = currentNode.callee.object;
+      } else if (currentNode.callee && currentNode.callee.type === 'Identifier') {
+        const functionName = currentNode.callee.name;
+
+        if (MODULAR_AGGREGATE_FUNCTIONS.includes(functionName) && currentNode.arguments.length > 0) {
+          // Modular getAggregateFromServer(query, { avg: average('score') })
+          queryFields.push(...parseAggregateSpec(currentNode.arguments[1], resolveFieldPath));
+          currentNode = currentNode.arguments[0];
+          continue;
+        }
+
+        if (functionName === 'query' && currentNode.arguments.length > 0) {
+          // Modular query(base, ...constraints) - constraints apply in argument order, and
+          // spread constraint arrays give a variant for each list of constraints they can hold.
+          // The base may itself be another query() call or a query variable
+          const [base, ...constraints] = currentNode.arguments;
+          return extendVariants(resolveConstraintLists(constraints, env).flatMap(list => {
+            const parsed = parseConstraints(list.constraints);
+            return withConditions(walkCallChain(base, env), list.conditions).map(variant => ({
+              ...variant,
+              queryFields: [...variant.queryFields, ...parsed.fields],
+              limitToLast: variant.limitToLast || parsed.limitToLast,
+            }));
+          }).slice(0, MAX_QUERY_VARIANTS));
+        }
+
+        if ((functionName === 'collection' || functionName === 'collectionGroup') && currentNode.arguments.length > 1) {
+          // Modular collection(db, 'orders') / collectionGroup(db, 'orders'), with the path
+          // in one or more segments: collection(db, 'tenants', id, 'orders'), collection(tenantRef, 'orders')
+          const collection = resolveCollectionId(currentNode.arguments[currentNode.arguments.length - 1]);
+          const queryScope = functionName === 'collectionGroup' ? 'COLLECTION_GROUP' : 'COLLECTION';
+          const database = resolveDatabase(currentNode.arguments[0]);
+          return [{ collection, queryScope, database, queryFields, limitToLast, conditions: [] }];
+        }
+
+        // Plain functions are only treated as collection references when configured
+        const reference = resolveCollectionReference(functionName, false);
+        if (reference) {
+          return [{ ...reference, database: DEFAULT_DATABASE, queryFields, limitToLast, conditions: [] }];
+        }
+
+        // Helper functions that return a query, e.g. activeOrders(db).orderBy(...)
+        const helperVariants = followHelpers ? resolveHelperCall(currentNode.callee) : [];
+        if (helperVariants.length > 0) {
+          return extendVariants(helperVariants);
+        }
+        break;
+      } else {
+        break;
+      }
+    }
+
+    // A query whose origin can't be followed can still be identified by its type
+    const reference = currentNode && resolveTypedReference(currentNode);
+    return reference ? [{ ...reference, database: DEFAULT_DATABASE, queryFields, limitToLast, conditions: [] }] : [];
+  }
+
+  /**
+   * Move query fields that couldn't be resolved out of a query variant
+   * @param {Object} variant - Query variant with plain query fields
+   * @returns {Object} The variant with `unresolvedFields`, the source text of those fields
+   */
+  function separateUnresolvedFields(variant) {
+    return {
+      ...variant,
+      queryFields: variant.queryFields.filter(field => field.field !== null),
+      unresolvedFields: variant.queryFields.filter(field => field.field === null).map(field => field.fieldText || sourceCode.getText(field.fieldNode)),
+    };
+  }
+
+  /**
+   * Work out every query an executed query expression can run
+   * Returns the variants of walkCallChain, with composite filters split into one
+   * variant per disjunct of their disjunctive normal form, and aggregations on several
+   * fields into one variant per aggregated field. Fields that can't be resolved are
+   * left out of `queryFields` and listed in `unresolvedFields`.
+   * @param {Object} node - Query expression node
+   * @returns {Array<{collection: string|null, queryScope: string, database: string|null, queryFields: Array, unresolvedFields: Array<string>, limitToLast: boolean, conditions: Array<string>, disjunct: string|null, disjunctions: number}>}
+   */
+  function analyzeCallChain(node) {
+    // In type-aware mode, skip calls like map.get() whose receiver isn't a Firestore query
+    const isAggregation = node.type === 'CallExpression' && MODULAR_AGGREGATE_FUNCTIONS.includes(node.callee.name);
+    if (firestoreTypes && firestoreTypes.isQuery(isAggregation ? node.arguments[0] : node) === false) {
+      return [];
+    }
+
+    return walkCallChain(node)
+      .flatMap(expandDisjunctions)
+      .map(separateUnresolvedFields)
+      .flatMap(expandAggregations)
+      .slice(0, MAX_QUERY_VARIANTS);
+  }
+
+  return { analyzeCallChain, resolveExport, missingTypeInformation: typeAware && firestoreTypes === null };
+}
+
+/**
+ * Find a collectionResolvers key that isn't a valid regular expression
+ * The rules report it once per file instead of analyzing queries with a resolver missing.
+ * @param {Object} [resolvers] - The collectionResolvers option
+ * @returns {{key: string, error: string}|null}
+ */
+function findInvalidCollectionResolver(resolvers = {}) {
+  for (const key of Object.keys(resolvers)) {
+    try {
+      parseResolverPattern(key);
+    } catch (error) {
+      return { key, error: error.message };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  analyzerOptionsSchema,
+  createQueryAnalyzer,
+  findInvalidCollectionResolver,
+  getExecutedQuery,
+};
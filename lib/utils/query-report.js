@@ -0,0 +1,225 @@
+/**
+ * @fileoverview Build an inventory of the Firestore queries in a source tree, as JSON or SARIF
+ * @author Q42
+ */
+'use strict';
+
+const path = require('path');
+const {
+  buildFieldOverride,
+  buildIndexDefinition,
+  findDisabledSingleFieldIndex,
+  findIndex,
+  isSingleFieldQuery,
+} = require('./index-matching');
+const { version } = require('../../package.json');
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+const TOOL_NAME = 'eslint-firestore-indexes';
+const TOOL_URL = 'https://github.com/Q42/eslint-firestore-indexes';
+
+/**
+ * How a query is served, by the type findIndex returns
+ */
+const INDEX_STATUSES = {
+  'composite': 'composite-index',
+  'index-merging': 'index-merging',
+  'single-field': 'single-field-index',
+};
+
+/**
+ * SARIF rules: one for the inventory itself, one for each problem the inventory can show
+ */
+const SARIF_RULES = [
+  {
+    id: 'firestore-query',
+    shortDescription: { text: 'Firestore query and the index that serves it' },
+    defaultConfiguration: { level: 'note' },
+  },
+  {
+    id: 'missing-index',
+    shortDescription: { text: 'Firestore query without the composite index it needs' },
+    defaultConfiguration: { level: 'error' },
+  },
+  {
+    id: 'missing-field-override',
+    shortDescription: { text: 'Firestore query on a single field whose single-field index is disabled or missing' },
+    defaultConfiguration: { level: 'error' },
+  },
+  {
+    id: 'unanalyzed-query',
+    shortDescription: { text: 'Firestore query whose fields could not be worked out' },
+    defaultConfiguration: { level: 'warning' },
+  },
+];
+
+/**
+ * Describe the query of an inventory entry, e.g. `Firestore query on collection "orders" (with minTotal)`
+ * @param {Object} entry - Inventory entry
+ * @returns {string}
+ */
+function describeQuery(entry) {
+  const variant = entry.variant ? ` (${entry.variant})` : '';
+  const fields = [
+    ...entry.filters.map(({ field, operator }) => `${field} (${operator})`),
+    ...entry.orderBy.map(({ field }) => `${field} (orderBy)`),
+  ];
+  const filters = fields.length > 0 ? ` with filters ${fields.join(', ')}` : '';
+  return `Firestore query on collection "${entry.collection}"${variant}${filters}`;
+}
+
+/**
+ * Build the SARIF result of an inventory entry
+ * @param {Object} entry - Inventory entry
+ * @returns {Object}
+ */
+function toSarifResult(entry) {
+  const { file, line, column, ...properties } = entry;
+  let ruleId = 'firestore-query';
+  let text;
+  switch (entry.status) {
+    case 'missing-index':
+      ruleId = 'missing-index';
+      text = `${describeQuery(entry)} is missing a composite index: ${JSON.stringify(entry.index)}`;
+      break;
+    case 'field-override-missing':
+      ruleId = 'missing-field-override';
+      text = `${describeQuery(entry)} needs a single-field index that fieldOverrides disables or doesn't enable: ${JSON.stringify(entry.fieldOverride)}`;
+      break;
+    case 'not-analyzed':
+      ruleId = 'unanalyzed-query';
+      text = `Could not work out the fields ${entry.unresolvedFields.join(', ')} of this ${describeQuery(entry)}`;
+      break;
+    case 'composite-index':
+      text = `${describeQuery(entry)} uses the composite index ${JSON.stringify(entry.index)}`;
+      break;
+    case 'index-merging':
+      text = `${describeQuery(entry)} uses index merging of single-field indexes`;
+      break;
+    default:
+      text = `${describeQuery(entry)} uses a single-field index`;
+      break;
+  }
+
+  return {
+    ruleId,
+    ruleIndex: SARIF_RULES.findIndex(rule => rule.id === ruleId),
+    level: SARIF_RULES.find(rule => rule.id === ruleId).defaultConfiguration.level,
+    message: { text },
+    locations: [
+      {
+        physicalLocation: {
+          artifactLocation: { uri: file, uriBaseId: '%SRCROOT%' },
+          region: { startLine: line, startColumn: column },
+        },
+      },
+    ],
+    properties,
+  };
+}
+
+//------------------------------------------------------------------------------
+// Public API
+//------------------------------------------------------------------------------
+
+/**
+ * Report formats of formatInventory
+ */
+const REPORT_FORMATS = ['json', 'sarif'];
+
+/**
+ * Build an inventory entry for each collected query variant
+ * Each entry has the location, database, collection and scope of the query, its filters
+ * and orderings, and how it is served: `status` is `composite-index` (with the matched
+ * index as `index`), `index-merging`, `single-field-index`, `missing-index` (with the
+ * index to add as `index`), `field-override-missing` (a query on a single field, with the
+ * field override to add as `fieldOverride`) or `not-analyzed` (listing the `unresolvedFields`).
+ * @param {Array} queries - Queries found by collectQueries
+ * @param {Object} indexes - Parsed indexes file of the queries' database
+ * @param {string} cwd - Working directory, file paths are relative to it
+ * @returns {Array<Object>}
+ */
+function buildInventory(queries, indexes, cwd) {
+  return queries.map(query => {
+    const { collection, queryScope, queryFields, unresolvedFields } = query;
+    const served = unresolvedFields.length > 0 ? null : findIndex(indexes, collection, queryFields, queryScope);
+    let status = 'not-analyzed';
+    let index = null;
+    let fieldOverride = null;
+    // A query on a single field can't use a composite index, only its single-field index
+    const disabled = !served && unresolvedFields.length === 0 && isSingleFieldQuery(queryFields) &&
+      findDisabledSingleFieldIndex(indexes, collection, queryFields, queryScope);
+    if (served) {
+      status = INDEX_STATUSES[served.type];
+      index = served.index;
+    } else if (disabled) {
+      status = 'field-override-missing';
+      fieldOverride = buildFieldOverride(indexes, collection, disabled, queryScope);
+    } else if (unresolvedFields.length === 0) {
+      status = 'missing-index';
+      index = buildIndexDefinition(collection, queryFields, queryScope);
+    }
+
+    return {
+      file: path.relative(cwd, query.filePath).split(path.sep).join('/'),
+      line: query.line,
+      column: query.column,
+      database: query.database,
+      collection,
+      queryScope,
+      variant: query.conditions.length > 0 ? query.conditions.join(', ') : null,
+      filters: queryFields
+        .filter(field => field.operator !== 'orderBy')
+        .map(({ field, operator }) => ({ field, operator })),
+      orderBy: queryFields
+        .filter(field => field.operator === 'orderBy')
+        .map(({ field, order }) => ({ field, direction: order })),
+      unresolvedFields,
+      status,
+      index,
+      fieldOverride,
+    };
+  });
+}
+
+/**
+ * Format an inventory as JSON, or as a SARIF 2.1.0 log for code scanning tools
+ * In SARIF every query is a `note` result; queries that miss an index or field override are `error`
+ * results and queries that couldn't be analyzed `warning` results.
+ * @param {Array<Object>} entries - Entries built by buildInventory
+ * @param {string} format - One of REPORT_FORMATS
+ * @returns {string}
+ */
+function formatInventory(entries, format) {
+  if (format === 'json') {
+    return `${JSON.stringify(entries, null, 2)}\n`;
+  }
+
+  const log = {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: TOOL_NAME,
+            version,
+            informationUri: TOOL_URL,
+            rules: SARIF_RULES,
+          },
+        },
+        results: entries.map(toSarifResult),
+      },
+    ],
+  };
+  return `${JSON.stringify(log, null, 2)}\n`;
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  buildInventory,
+  formatInventory,
+};
@@ -0,0 +1,344 @@
+/**
+ * @fileoverview Tests for the eslint-firestore-indexes CLI
+ * @author Q42
+ */
+'use strict';
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const { run } = require('../lib/cli');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+//------------------------------------------------------------------------------
+// Constants
+//------------------------------------------------------------------------------
+
+const FIXTURES_DIR = path.resolve(__dirname, 'fixtures', 'sync');
+const QUERIES_FILE = path.join(FIXTURES_DIR, 'queries.js');
+const INDEXES_FILE = path.join(FIXTURES_DIR, 'indexes.json');
+const UNUSED_INDEXES_FILE = path.join(FIXTURES_DIR, 'unused-indexes.json');
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+/**
+ * Create a writable stream stand-in that records its output
+ */
+function createOutput() {
+  return {
+    text: '',
+    write(chunk) {
+      this.text += chunk;
+    },
+  };
+}
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+describe('eslint-firestore-indexes CLI', function() {
+  let tempDir;
+  let indexesPath;
+  let stdout;
+  let stderr;
+
+  beforeEach(function() {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-firestore-indexes-'));
+    indexesPath = path.join(tempDir, 'indexes.json');
+    fs.copyFileSync(INDEXES_FILE, indexesPath);
+    stdout = createOutput();
+    stderr = createOutput();
+  });
+
+  afterEach(function() {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('sync --check prints a diff and exits with code 1 without writing', async function() {
+    const exitCode = await run(['sync', '--check', '--indexes', indexesPath, QUERIES_FILE], { stdout, stderr });
+
+    assert.strictEqual(exitCode, 1);
+    assert.strictEqual(fs.readFileSync(indexesPath, 'utf8'), fs.readFileSync(INDEXES_FILE, 'utf8'));
+    assert.match(stdout.text, /^\+\s+"collectionGroup": "products",$/m);
+    assert.match(stdout.text, /^\+\s+"collectionGroup": "articles",$/m);
+    assert.match(stdout.text, /missing 2 composite index\(es\)/);
+    assert.doesNotMatch(stdout.text, /^-(?!-- )/m);
+  });
+
+  it('sync adds the missing indexes in sorted position', async function() {
+    const exitCode = await run(['sync', '--indexes', indexesPath, QUERIES_FILE], { stdout, stderr });
+
+    assert.strictEqual(exitCode, 0);
+    const indexes = JSON.parse(fs.readFileSync(indexesPath, 'utf8'));
+    assert.deepStrictEqual(indexes.indexes.map(index => index.collectionGroup), ['articles', 'products', 'users']);
+    assert.deepStrictEqual(indexes.indexes[0].fields, [
+      { fieldPath: 'tags', arrayConfig: 'CONTAINS' },
+      { fieldPath: 'publishedAt', order: 'DESCENDING' },
+    ]);
+    assert.deepStrictEqual(indexes.indexes[1].fields, [
+      { fieldPath: 'price', order: 'ASCENDING' },
+      { fieldPath: 'rating', order: 'DESCENDING' },
+    ]);
+    assert.match(stdout.text, /Added 2 composite index\(es\)/);
+  });
+
+  it('sync reports an up to date file after syncing', async function() {
+    await run(['sync', '--indexes', indexesPath, QUERIES_FILE], { stdout, stderr });
+    const synced = fs.readFileSync(indexesPath, 'utf8');
+
+    const exitCode = await run(['sync', '--check', '--indexes', indexesPath, QUERIES_FILE], { stdout, stderr });
+
+    assert.strictEqual(exitCode, 0);
+    assert.strictEqual(fs.readFileSync(indexesPath, 'utf8'), synced);
+    assert.match(stdout.text, /is up to date/);
+  });
+
+  it('unused lists indexes no query uses and indexes covered by prefix', async function() {
+    const exitCode = await run(['unused', '--indexes', UNUSED_INDEXES_FILE, QUERIES_FILE], { stdout, stderr });
+
+    assert.strictEqual(exitCode, 1);
+    assert.match(stdout.text, /has 3 composite index\(es\) that no query needs/);
+    assert.match(stdout.text, /#2 products \(price ASC, rating DESC, __name__ DESC\): covered by index #1 products \(price ASC, rating DESC\)/);
+    assert.match(stdout.text, /#3 templates \(type ASC, status ASC\): no query uses this index/);
+    assert.match(stdout.text, /#6 articles \(tags CONTAINS, publishedAt DESC\): covered by index #5 articles/);
+    assert.doesNotMatch(stdout.text, /^\s+#[145] /m);
+  });
+
+  it('unused exits with code 0 when every index is used', async function() {
+    const exitCode = await run(['unused', '--indexes', INDEXES_FILE, QUERIES_FILE], { stdout, stderr });
+
+    assert.strictEqual(exitCode, 0);
+    assert.match(stdout.text, /All 1 composite indexes in .* are used/);
+  });
+
+  it('report prints every query with the index that serves it as JSON', async function() {
+    const exitCode = await run(['report', '--indexes', INDEXES_FILE, QUERIES_FILE], { stdout, stderr });
+
+    assert.strictEqual(exitCode, 0);
+    const entries = JSON.parse(stdout.text);
+    assert.deepStrictEqual(entries.map(entry => `${entry.collection} ${entry.status}`), [
+      'users composite-index',
+      'products missing-index',
+      'products missing-index',
+      'articles missing-index',
+      'orders index-merging',
+    ]);
+    assert.deepStrictEqual(entries[0], {
+      file: 'tests/fixtures/sync/queries.js',
+      line: 8,
+      column: 1,
+      database: '(default)',
+      collection: 'users',
+      queryScope: 'COLLECTION',
+      variant: null,
+      filters: [{ field: 'age', operator: '>' }],
+      orderBy: [{ field: 'name', direction: 'ASCENDING' }],
+      unresolvedFields: [],
+      status: 'composite-index',
+      index: JSON.parse(fs.readFileSync(INDEXES_FILE, 'utf8')).indexes[0],
+      fieldOverride: null,
+    });
+    assert.deepStrictEqual(entries[1].index.fields, [
+      { fieldPath: 'price', order: 'ASCENDING' },
+      { fieldPath: 'rating', order: 'DESCENDING' },
+    ]);
+  });
+
+  it('report --format sarif prints a SARIF log with missing indexes as errors', async function() {
+    const exitCode = await run(['report', '-f', 'sarif', '--indexes', INDEXES_FILE, QUERIES_FILE], { stdout, stderr });
+
+    assert.strictEqual(exitCode, 0);
+    const log = JSON.parse(stdout.text);
+    assert.strictEqual(log.version, '2.1.0');
+    const { results, tool } = log.runs[0];
+    assert.strictEqual(tool.driver.name, 'eslint-firestore-indexes');
+    assert.deepStrictEqual(results.map(result => `${result.ruleId} ${result.level}`), [
+      'firestore-query note',
+      'missing-index error',
+      'missing-index error',
+      'missing-index error',
+      'firestore-query note',
+    ]);
+    assert.deepStrictEqual(results[1].locations[0].physicalLocation, {
+      artifactLocation: { uri: 'tests/fixtures/sync/queries.js', uriBaseId: '%SRCROOT%' },
+      region: { startLine: 11, startColumn: 1 },
+    });
+    assert.match(results[4].message.text, /^Firestore query on collection "orders" with filters customerId \(==\), orderDate \(orderBy\) uses index merging/);
+  });
+
+  it('report gives queries on a single field without their single-field index the field override to add', async function() {
+    fs.writeFileSync(indexesPath, JSON.stringify({
+      indexes: [],
+      fieldOverrides: [
+        { collectionGroup: 'notes', fieldPath: 'updatedAt', indexes: [{ order: 'ASCENDING', queryScope: 'COLLECTION' }] },
+      ],
+    }));
+    fs.writeFileSync(path.join(tempDir, 'queries.js'), `
+      db.collection('notes').orderBy('updatedAt', 'desc').get();
+    `);
+
+    const exitCode = await run(['report', '-f', 'sarif', '--indexes', indexesPath, 'queries.js'], { cwd: tempDir, stdout, stderr });
+
+    assert.strictEqual(exitCode, 0);
+    const [result] = JSON.parse(stdout.text).runs[0].results;
+    assert.strictEqual(result.ruleId, 'missing-field-override');
+    assert.strictEqual(result.level, 'error');
+    assert.strictEqual(result.properties.status, 'field-override-missing');
+    assert.strictEqual(result.properties.index, null);
+    assert.deepStrictEqual(result.properties.fieldOverride, {
+      collectionGroup: 'notes',
+      fieldPath: 'updatedAt',
+      indexes: [
+        { order: 'ASCENDING', queryScope: 'COLLECTION' },
+        { order: 'DESCENDING', queryScope: 'COLLECTION' },
+      ],
+    });
+  });
+
+  it('report exits with code 2 for an unknown format', async function() {
+    const exitCode = await run(['report', '--format', 'csv', '--indexes', INDEXES_FILE, QUERIES_FILE], { stdout, stderr });
+
+    assert.strictEqual(exitCode, 2);
+    assert.match(stderr.text, /Unknown report format "csv"/);
+  });
+
+  it('uses the collectionResolvers the project configures for the rule', async function() {
+    fs.writeFileSync(path.join(tempDir, 'eslint.config.js'), `
+      const plugin = require(${JSON.stringify(path.resolve(__dirname, '..', 'lib'))});
+      module.exports = [{
+        plugins: { 'firestore-indexes': plugin },
+        rules: {
+          'firestore-indexes/firestore-indexes': ['warn', { collectionResolvers: { userOrdersRef: 'orders' } }],
+        },
+      }];
+    `);
+    fs.writeFileSync(path.join(tempDir, 'queries.js'), `
+      db.userOrdersRef(uid).where('total', '>', 100).orderBy('createdAt', 'desc').get();
+    `);
+
+    const exitCode = await run(['sync', '--check', 'queries.js'], { cwd: tempDir, stdout, stderr });
+
+    assert.strictEqual(exitCode, 1);
+    assert.match(stdout.text, /^\+\s+"collectionGroup": "orders",$/m);
+    assert.doesNotMatch(stdout.text, /userOrders/);
+  });
+
+  it('adds composite indexes for index merging queries where mergePolicy is forbid', async function() {
+    fs.writeFileSync(path.join(tempDir, 'eslint.config.js'), `
+      const plugin = require(${JSON.stringify(path.resolve(__dirname, '..', 'lib'))});
+      module.exports = [{
+        files: ['hot/**'],
+        plugins: { 'firestore-indexes': plugin },
+        rules: {
+          'firestore-indexes/firestore-indexes': ['warn', { mergePolicy: 'forbid' }],
+        },
+      }];
+    `);
+    fs.mkdirSync(path.join(tempDir, 'hot'));
+    fs.writeFileSync(path.join(tempDir, 'hot', 'orders.js'), `
+      db.collection('orders').where('customerId', '==', uid).orderBy('createdAt', 'desc').get();
+    `);
+    fs.writeFileSync(path.join(tempDir, 'users.js'), `
+      db.collection('users').where('city', '==', city).orderBy('name').get();
+    `);
+
+    const exitCode = await run(['sync', '--check', 'hot', 'users.js'], { cwd: tempDir, stdout, stderr });
+
+    assert.strictEqual(exitCode, 1);
+    assert.match(stdout.text, /^\+\s+"collectionGroup": "orders",$/m);
+    assert.doesNotMatch(stdout.text, /"city"/);
+  });
+
+  it('prints the field overrides queries on a single field need instead of adding composite indexes', async function() {
+    fs.writeFileSync(indexesPath, JSON.stringify({
+      indexes: [],
+      fieldOverrides: [
+        { collectionGroup: 'notes', fieldPath: 'updatedAt', indexes: [{ order: 'ASCENDING', queryScope: 'COLLECTION' }] },
+      ],
+    }, null, 2));
+    fs.writeFileSync(path.join(tempDir, 'queries.js'), `
+      db.collectionGroup('comments').orderBy('createdAt', 'desc').get();
+      db.collection('notes').orderBy('updatedAt', 'desc').get();
+    `);
+
+    const exitCode = await run(['sync', '--check', '--indexes', indexesPath, 'queries.js'], { cwd: tempDir, stdout, stderr });
+
+    assert.strictEqual(exitCode, 1);
+    assert.match(stdout.text, /is missing 2 field override\(s\)/);
+    assert.doesNotMatch(stdout.text, /is up to date/);
+    const lines = stderr.text.trim().split('\n');
+    assert.strictEqual(lines.length, 2);
+    assert.match(lines[0], /^queries\.js:2: query on collection "comments" needs a single-field index on "createdAt"/);
+    assert.deepStrictEqual(JSON.parse(lines[0].slice(lines[0].indexOf('{'))), {
+      collectionGroup: 'comments',
+      fieldPath: 'createdAt',
+      indexes: [
+        { order: 'ASCENDING', queryScope: 'COLLECTION' },
+        { order: 'DESCENDING', queryScope: 'COLLECTION' },
+        { arrayConfig: 'CONTAINS', queryScope: 'COLLECTION' },
+        { order: 'DESCENDING', queryScope: 'COLLECTION_GROUP' },
+      ],
+    });
+    assert.deepStrictEqual(JSON.parse(lines[1].slice(lines[1].indexOf('{'))), {
+      collectionGroup: 'notes',
+      fieldPath: 'updatedAt',
+      indexes: [
+        { order: 'ASCENDING', queryScope: 'COLLECTION' },
+        { order: 'DESCENDING', queryScope: 'COLLECTION' },
+      ],
+    });
+  });
+
+  it('finds the indexes file of the database in firebase.json', async function() {
+    fs.writeFileSync(path.join(tempDir, 'firebase.json'), JSON.stringify({
+      firestore: [
+        { database: '(default)', indexes: 'indexes.json' },
+        { database: 'analytics', indexes: 'analytics.indexes.json' },
+      ],
+    }));
+    fs.writeFileSync(path.join(tempDir, 'queries.js'), `
+      const analytics = getFirestore(app, 'analytics');
+      getDocs(query(collection(analytics, 'events'), where('duration', '>', 10), orderBy('timestamp', 'desc')));
+      getDocs(query(collection(getFirestore(app), 'orders'), where('total', '>', 100), orderBy('createdAt', 'desc')));
+    `);
+
+    const exitCode = await run(['sync', '--database', 'analytics', 'queries.js'], { cwd: tempDir, stdout, stderr });
+
+    assert.strictEqual(exitCode, 0);
+    const indexes = JSON.parse(fs.readFileSync(path.join(tempDir, 'analytics.indexes.json'), 'utf8'));
+    assert.deepStrictEqual(indexes.indexes.map(index => index.collectionGroup), ['events']);
+    assert.strictEqual(fs.readFileSync(indexesPath, 'utf8'), fs.readFileSync(INDEXES_FILE, 'utf8'));
+  });
+
+  it('exits with code 2 when firebase.json has no indexes file for the database', async function() {
+    fs.writeFileSync(path.join(tempDir, 'firebase.json'), JSON.stringify({ firestore: { indexes: 'indexes.json' } }));
+
+    const exitCode = await run(['sync', '--database', 'archive'], { cwd: tempDir, stdout, stderr });
+
+    assert.strictEqual(exitCode, 2);
+    assert.match(stderr.text, /firebase\.json has no indexes file for database "archive"/);
+  });
+
+  it('exits with code 2 when the indexes file is not valid JSON', async function() {
+    fs.writeFileSync(indexesPath, '{\n  "indexes": [\n    {,\n  ]\n}\n');
+
+    const exitCode = await run(['sync', '--indexes', indexesPath, QUERIES_FILE], { stdout, stderr });
+
+    assert.strictEqual(exitCode, 2);
+    assert.match(stderr.text, /indexes\.json:3:6: /);
+  });
+
+  it('exits with code 2 for an unknown command', async function() {
+    const exitCode = await run(['generate'], { stdout, stderr });
+
+    assert.strictEqual(exitCode, 2);
+    assert.match(stderr.text, /Unknown command "generate"/);
+  });
+});
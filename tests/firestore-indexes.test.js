@@ -8,9 +8,12 @@
 // Requirements
 //------------------------------------------------------------------------------
 
-const { RuleTester } = require('eslint');
+const { Linter, RuleTester } = require('eslint');
 const rule = require('../lib/rules/firestore-indexes');
+const { buildIndexDefinition, hasIndex } = require('../lib/utils/index-matching');
+const assert = require('assert');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 
 //------------------------------------------------------------------------------
@@ -27,6 +30,18 @@ const ruleTester = new RuleTester({
 // Use fixtures file for testing
 const testIndexesPath = path.join(__dirname, 'fixtures', 'test-indexes.json');
 
+// Indexes files that can't be used
+const missingIndexesPath = path.join(__dirname, 'fixtures', 'does-not-exist.json');
+const syntaxErrorIndexesPath = path.join(__dirname, 'fixtures', 'invalid', 'syntax-error.json');
+const schemaErrorIndexesPath = path.join(__dirname, 'fixtures', 'invalid', 'schema-error.json');
+
+// Linted file in a project whose firebase.json declares a default and an "analytics" database
+const firebaseProjectFile = path.join(__dirname, 'fixtures', 'firebase', 'src', 'queries.js');
+const analyticsIndexesPath = path.relative(process.cwd(), path.join(__dirname, 'fixtures', 'firebase', 'analytics.indexes.json'));
+
+// Linted file next to the query helpers of tests/fixtures/helpers/refs.js
+const helpersFile = path.join(__dirname, 'fixtures', 'helpers', 'queries.js');
+
 ruleTester.run('firestore-indexes', rule, {
   valid: [
     // Single where clause - no index needed
@@ -71,6 +86,62 @@ ruleTester.run('firestore-indexes', rule, {
       options: [{ indexesPath: testIndexesPath }],
     },
 
+    // Valid: Subcollections use the indexes of their collection ID
+    {
+      code: `
+        firestore.collection('shops').doc(shopId).collection('products')
+          .where('category', '==', 'electronics').where('price', '<', 1000).orderBy('rating', 'desc').get();
+        firestore.collection(\`shops/\${shopId}/products\`)
+          .where('category', '==', 'electronics').where('price', '<', 1000).orderBy('rating', 'desc').get();
+        getDocs(query(
+          collection(db, 'shops', shopId, 'products'),
+          where('category', '==', 'electronics'), where('price', '<', 1000), orderBy('rating', 'desc')
+        ));
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+    },
+
+    // Valid: Helper functions aren't followed without followHelpers
+    {
+      code: `
+        function activeOrders(db) {
+          return db.collection('orders').where('total', '>', 100);
+        }
+        activeOrders(db).orderBy('createdAt', 'desc').get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+    },
+
+    // Valid: Query completed from a helper's return value has an index
+    {
+      code: `
+        const electronics = (db) => db.collection('products').where('category', '==', 'electronics');
+        electronics(db).where('price', '<', 1000).orderBy('rating', 'desc').get();
+      `,
+      options: [{ indexesPath: testIndexesPath, followHelpers: true }],
+    },
+
+    // Valid: Every combination of spread constraints has an index or can use index merging
+    {
+      code: `
+        const constraints = [where('category', '==', category)];
+        if (maxPrice) {
+          constraints.push(where('price', '<', maxPrice));
+        }
+        getDocs(query(collection(db, 'products'), ...constraints, orderBy('rating', 'desc')));
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+    },
+
+    // Valid: mergePolicy forbid accepts composite indexes and single-field queries
+    {
+      code: `
+        firestore.collection('posts').where('status', '==', 'published').orderBy('createdAt', 'desc').get();
+        firestore.collection('events').where('startsAt', '>', now).orderBy('startsAt').get();
+      `,
+      options: [{ indexesPath: testIndexesPath, mergePolicy: 'forbid' }],
+    },
+
     // No collection call - should not trigger
     {
       code: `
@@ -183,121 +254,1984 @@ ruleTester.run('firestore-indexes', rule, {
       `,
       options: [{ indexesPath: testIndexesPath }],
     },
-  ],
 
-  invalid: [
-    // Invalid: Multiple orderBy clauses (cannot use index merging)
+    // Valid: Modular SDK - index exists for posts with status and createdAt
     {
       code: `
-        firestore.collection('users')
-          .orderBy('email', 'asc')
-          .orderBy('status', 'desc')
-          .get();
+        getDocs(
+          query(
+            collection(db, 'posts'),
+            where('status', '==', 'published'),
+            orderBy('createdAt', 'desc'),
+            limit(10)
+          )
+        );
       `,
       options: [{ indexesPath: testIndexesPath }],
-      errors: [
-        {
-          messageId: 'missingIndex',
-        },
-      ],
     },
 
-    // Invalid: Multiple inequality filters on different fields (cannot use index merging)
+    // Valid: Modular SDK - index merging with equality filters + one orderBy
     {
       code: `
-        firestore.collection('orders')
-          .where('price', '>', 100)
-          .where('quantity', '<', 10)
-          .get();
+        onSnapshot(
+          query(collection(db, 'orders'), where('status', '==', 'open'), orderBy('createdAt', 'desc')),
+          (snapshot) => {}
+        );
       `,
       options: [{ indexesPath: testIndexesPath }],
-      errors: [
-        {
-          messageId: 'missingIndex',
-        },
-      ],
     },
 
-    // Invalid: Inequality + orderBy on different fields (cannot use simple index merging)
+    // Valid: Modular SDK - collectionGroup with pagination constraints
     {
       code: `
-        firestore.collection('products')
-          .where('price', '>', 100)
-          .orderBy('rating', 'desc')
-          .get();
+        getDocs(
+          query(
+            collectionGroup(db, 'products'),
+            where('category', '==', 'electronics'),
+            where('price', '<', 1000),
+            orderBy('rating', 'desc'),
+            startAfter(lastDoc),
+            limit(20)
+          )
+        );
       `,
       options: [{ indexesPath: testIndexesPath }],
-      errors: [
-        {
-          messageId: 'missingIndex',
-        },
-      ],
     },
 
-    // Invalid: Multiple inequality filters on different fields with orderBy
+    // Valid: Modular SDK - nested query() calls
+    {
+      code: `
+        getCountFromServer(
+          query(query(collection(db, 'users'), where('age', '>', 18)), where('name', '==', 'John'))
+        );
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+    },
+
+    // Valid: Modular SDK - document listeners are not queries
+    {
+      code: `
+        onSnapshot(doc(db, 'users', userId), (snapshot) => {});
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+    },
+
+    // Valid: Conditional filter - both variants can use index merging
     {
       code: `
         async function test() {
-          const snapshot = await firestore
+          let query = firestore
             .templateCollRef()
-            .where('priority', '>', 5)
-            .where('score', '<', 100)
-            .orderBy('createdAt', 'desc')
-            .get();
+            .where('status', '==', FirebaseTemplateStatus.Current)
+            .where('type', '==', type)
+            .orderBy('createdAt', 'desc');
+
+          if (schoolId) {
+            query = query.where('schoolId', '==', schoolId);
+          }
+          const snapshot = await query.get();
         }
       `,
       options: [{ indexesPath: testIndexesPath }],
-      errors: [
-        {
-          messageId: 'missingIndex',
-        },
-      ],
     },
 
-    // Invalid: Array-contains with wrong field - missing index
+    // Valid: If-else conditional with array-contains - index exists for both branches
     {
       code: `
         async function test() {
-          const passportsSnapshot = await firestore
-            .passportCollRef()
-            .where('wrongField', 'array-contains', IdToken.uid)
-            .orderBy('updated', 'desc')
-            .get();
+          let query = firestore.passportCollRef();
+
+          if (IdToken.role === UserRole.Intaker) {
+            query = query.where('intakers', 'array-contains', IdToken.uid);
+          } else {
+            query = query.where('begeleider', 'array-contains', IdToken.uid);
+          }
+          const passportsSnapshot = await query.orderBy('updated', 'desc').get();
         }
       `,
       options: [{ indexesPath: testIndexesPath }],
-      errors: [
-        {
-          messageId: 'missingIndex',
-        },
-      ],
     },
-  ],
-});
 
-console.log('All tests passed!');
+    // Valid: Modular SDK - query stored in a const
+    {
+      code: `
+        const q = query(collection(db, 'posts'), where('status', '==', 'published'), orderBy('createdAt', 'desc'));
+        getDocs(q);
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+    },
+
+    // Valid: Ternary collection reference - both variants have an index
+    {
+      code: `
+        const ref = includeArchived ? firestore.collection('products') : firestore.collectionGroup('products');
+        ref.where('category', '==', category).where('price', '<', 1000).orderBy('rating', 'desc').get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+    },
+
+    // Valid: Reassignment after the query is executed doesn't affect it
+    {
+      code: `
+        let query = firestore.collection('posts').where('status', '==', 'published').orderBy('createdAt', 'desc');
+        query.get();
+        query = query.orderBy('title');
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+    },
+
+    // Valid: Variable declared without a value gets its query from a later assignment
+    {
+      code: `
+        let query;
+        query = firestore.collection('posts').where('status', '==', 'published').orderBy('createdAt', 'desc');
+        query.get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+    },
 
-// Note: The following test cases for conditional queries are examples for future implementation
-// They require tracking variable reassignments across statements, which is not currently supported
-//
-// Example 1: Conditional query with if statement
-// let query = firestore
-//   .templateCollRef()
-//   .where('status', '==', FirebaseTemplateStatus.Current)
-//   .where('type', '==', type)
-//   .orderBy('createdAt', 'desc')
-//
-// if (schoolId) {
-//   query = query.where('schoolId', '==', schoolId)
-// }
-// const snapshot = await query.get()
-//
-// Example 2: If-else conditional with array-contains
-// let query = firestore.passportCollRef()
-//
-// if (IdToken.role === UserRole.Intaker) {
-//   query = query.where('intakers', 'array-contains', IdToken.uid)
-// } else {
-//   query = query.where('begeleider', 'array-contains', IdToken.uid)
-// }
-// const passportsSnapshot = await query.orderBy('updated', 'desc').get()
+    // Valid: Range filter and orderBy on the same field match a single index field
+    {
+      code: `
+        firestore.collection('passports')
+          .where('intakers', 'array-contains', uid)
+          .where('updated', '>', since)
+          .orderBy('updated', 'desc')
+          .get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+    },
+
+    // Valid: orderBy directions match the index
+    {
+      code: `
+        firestore.collection('events').orderBy('startsAt').orderBy('priority', 'desc').get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+    },
+
+    // Valid: Fully reversed orderBy directions can scan the index backwards
+    {
+      code: `
+        firestore.collection('events').orderBy('startsAt', 'desc').orderBy('priority', 'asc').get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+    },
+
+    // Valid: Reversed orderBy with an inequality filter that can be scanned either way
+    {
+      code: `
+        firestore.collection('products')
+          .where('category', '==', 'electronics')
+          .where('price', '<', 1000)
+          .orderBy('rating')
+          .get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+    },
+
+    // Valid: Explicit orderBy('__name__') matches the index's __name__ direction
+    {
+      code: `
+        firestore.collection('messages')
+          .where('participants', 'array-contains', uid)
+          .orderBy('sentAt', 'desc')
+          .orderBy('__name__')
+          .get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+    },
+
+    // Valid: A document ID filter uses the __name__ that ends the single-field index of the other field
+    {
+      code: `
+        firestore.collection('posts').where('tags', 'array-contains', tag).where(FieldPath.documentId(), 'in', ids).get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+    },
+
+    // Valid: A document ID filter uses the trailing __name__ of the composite index
+    {
+      code: `
+        firestore.collection('posts')
+          .where('tags', 'array-contains', tag)
+          .where(FieldPath.documentId(), 'in', ids)
+          .orderBy('publishedAt', 'desc')
+          .get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+    },
+
+    // Valid: Index merging - in counts as an equality filter
+    {
+      code: `
+        firestore.collection('items')
+          .where('status', 'in', ['active', 'pending'])
+          .where('category', '==', 'electronics')
+          .orderBy('createdAt', 'desc')
+          .get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+    },
+
+    // Valid: Index merging - != is a single inequality filter next to equality filters
+    {
+      code: `
+        firestore.collection('items')
+          .where('category', '==', 'electronics')
+          .where('status', '!=', 'archived')
+          .get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+    },
+
+    // Valid: array-contains-any combined with in, served by a composite index
+    {
+      code: `
+        firestore.collection('listings')
+          .where('tags', 'array-contains-any', ['garden', 'pool'])
+          .where('status', 'in', ['open', 'pending'])
+          .orderBy('price')
+          .get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+    },
+
+    // Valid: not-in orders by its field, like a range filter
+    {
+      code: `
+        firestore.collection('listings')
+          .where('tags', 'array-contains', 'garden')
+          .where('status', '==', 'open')
+          .where('price', 'not-in', [0, 1])
+          .get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+    },
+
+    // Valid: Index merging with the single-field index direction fieldOverrides keeps
+    {
+      code: `
+        firestore.collection('notes')
+          .where('ownerId', '==', uid)
+          .orderBy('updatedAt')
+          .get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+    },
+
+    // Valid: A subfield override re-enables indexing inside an exempted map field
+    {
+      code: `
+        firestore.collection('notes').where('metadata.source', '==', 'import').get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+    },
+
+    // Valid: collectionResolvers maps a reference helper to its collection
+    {
+      code: `
+        db.userPostsRef(uid).where('status', '==', 'published').orderBy('createdAt', 'desc').get();
+      `,
+      options: [{ indexesPath: testIndexesPath, collectionResolvers: { userPostsRef: 'posts' } }],
+    },
+
+    // Valid: collectionResolvers pattern with a capture group, for plain function calls too
+    {
+      code: `
+        getDocs(query(postColl(), where('status', '==', 'published'), orderBy('createdAt', 'desc')));
+      `,
+      options: [{ indexesPath: testIndexesPath, collectionResolvers: { '/^(\\w+)Coll$/': '$1s' } }],
+    },
+
+    // Valid: collectionResolvers entry with a collection group scope
+    {
+      code: `
+        db.allProductsRef().where('category', '==', 'books').where('price', '<', 20).orderBy('rating', 'desc').get();
+      `,
+      options: [{
+        indexesPath: testIndexesPath,
+        collectionResolvers: { allProductsRef: { collection: 'products', queryScope: 'COLLECTION_GROUP' } },
+      }],
+    },
+
+    // Valid: Other ...Ref() methods aren't treated as collections when inferCollectionNames is off
+    {
+      code: `
+        storage.categoryRef(id).where('type', '==', 'a').orderBy('name').get();
+      `,
+      options: [{ indexesPath: testIndexesPath, inferCollectionNames: false }],
+    },
+
+    // Valid: Default database query checked against the default indexes file in firebase.json
+    {
+      code: `
+        const db = getFirestore(app);
+        getDocs(query(collection(db, 'orders'), where('total', '>', 100), orderBy('createdAt', 'desc')));
+      `,
+      filename: firebaseProjectFile,
+    },
+
+    // Valid: Named database query checked against that database's indexes file
+    {
+      code: `
+        const db = getFirestore(app, 'analytics');
+        getDocs(query(collection(db, 'events'), where('duration', '>', 10), orderBy('timestamp', 'desc')));
+      `,
+      filename: firebaseProjectFile,
+    },
+
+    // Valid: Named database passed to the Firestore constructor through a constant
+    {
+      code: `
+        const databaseId = 'analytics';
+        const firestore = new Firestore({ databaseId });
+        firestore.collection('events').where('duration', '>', 10).orderBy('timestamp', 'desc').get();
+      `,
+      filename: firebaseProjectFile,
+    },
+
+    // Valid: Queries on a database chosen at runtime are skipped
+    {
+      code: `
+        const db = getFirestore(app, process.env.DATABASE_ID);
+        getDocs(query(collection(db, 'events'), where('status', '>', 10), orderBy('timestamp', 'desc')));
+      `,
+      filename: firebaseProjectFile,
+    },
+
+    // Valid: Collection group query with a COLLECTION_GROUP single-field index from fieldOverrides
+    {
+      code: `
+        firestore.collectionGroup('comments').orderBy('createdAt', 'desc').get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+    },
+
+    // Valid: OR query where every disjunct has an index
+    {
+      code: `
+        firestore.collection('passports')
+          .where(Filter.or(Filter.where('intakers', '==', uid), Filter.where('begeleider', '==', uid)))
+          .orderBy('updated', 'desc')
+          .get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+    },
+
+    // Valid: Vector search with a vector index, in the options and positional forms
+    {
+      code: `
+        firestore.collection('articles')
+          .findNearest({ vectorField: 'embedding', queryVector: FieldValue.vector([0.1, 0.2, 0.3]), limit: 10, distanceMeasure: 'COSINE' })
+          .get();
+        firestore.collection('articles').findNearest('embedding', queryVector, { limit: 10, distanceMeasure: 'EUCLIDEAN' }).get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+    },
+
+    // Valid: Vector search with a pre-filter that is part of the vector index
+    {
+      code: `
+        firestore.collection('articles')
+          .where('language', '==', 'nl')
+          .findNearest({ vectorField: 'embedding', queryVector: [0.1, 0.2, 0.3], limit: 5, distanceMeasure: 'DOT_PRODUCT' })
+          .get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+    },
+
+    // Valid: Sum aggregation with the filter and aggregated field in one index, count() needs no field
+    {
+      code: `
+        firestore.collection('invoices')
+          .where('customerId', '==', customerId)
+          .aggregate({ total: AggregateField.sum('amount'), invoices: AggregateField.count() })
+          .get();
+        firestore.collection('invoices').aggregate({ total: AggregateField.sum('tax') }).get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+    },
+
+    // Valid: Modular average aggregation
+    {
+      code: `
+        getAggregateFromServer(
+          query(collection(db, 'invoices'), where('customerId', '==', customerId)),
+          { averageAmount: average('amount') }
+        );
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+    },
+
+    // Valid: Field names from a constant object and FieldPath.documentId()
+    {
+      code: `
+        const Fields = Object.freeze({ AGE: 'age', NAME: 'name' });
+        firestore.collection('users').where(Fields.AGE, '>', 18).where(Fields['NAME'], '==', 'John').get();
+        firestore.collection('users').where(FieldPath.documentId(), 'in', ids).get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+    },
+
+    // Valid: Modular and() inside or(), each disjunct only has equality filters
+    {
+      code: `
+        getDocs(query(
+          collection(db, 'templates'),
+          or(where('type', '==', 'email'), and(where('status', '==', 'active'), where('type', '==', 'sms')))
+        ));
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+    },
+  ],
+
+  invalid: [
+    // Invalid: Multiple orderBy clauses (cannot use index merging)
+    {
+      code: `
+        firestore.collection('users')
+          .orderBy('email', 'asc')
+          .orderBy('status', 'desc')
+          .get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'missingIndex',
+        },
+      ],
+    },
+
+    // Invalid: Multiple inequality filters on different fields (cannot use index merging)
+    {
+      code: `
+        firestore.collection('orders')
+          .where('price', '>', 100)
+          .where('quantity', '<', 10)
+          .get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'missingIndex',
+        },
+      ],
+    },
+
+    // Invalid: Inequality + orderBy on different fields (cannot use simple index merging)
+    {
+      code: `
+        firestore.collection('products')
+          .where('price', '>', 100)
+          .orderBy('rating', 'desc')
+          .get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'missingIndex',
+        },
+      ],
+    },
+
+    // Invalid: Multiple inequality filters on different fields with orderBy
+    {
+      code: `
+        async function test() {
+          const snapshot = await firestore
+            .templateCollRef()
+            .where('priority', '>', 5)
+            .where('score', '<', 100)
+            .orderBy('createdAt', 'desc')
+            .get();
+        }
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'missingIndex',
+        },
+      ],
+    },
+
+    // Invalid: Array-contains with wrong field - missing index
+    {
+      code: `
+        async function test() {
+          const passportsSnapshot = await firestore
+            .passportCollRef()
+            .where('wrongField', 'array-contains', IdToken.uid)
+            .orderBy('updated', 'desc')
+            .get();
+        }
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'missingIndex',
+        },
+      ],
+    },
+    // Invalid: Modular SDK - inequality + orderBy on different fields
+    {
+      code: `
+        getDocs(
+          query(collection(db, 'products'), where('price', '>', 100), orderBy('rating', 'desc'))
+        );
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'missingIndex',
+        },
+      ],
+    },
+
+    // Invalid: Modular SDK - multiple orderBy clauses with getCountFromServer
+    {
+      code: `
+        getCountFromServer(
+          query(collection(db, 'users'), orderBy('email'), orderBy('status', 'desc'), limit(5))
+        );
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'missingIndex',
+        },
+      ],
+    },
+    // Invalid: Conditional orderBy - only the variant with the orderBy is missing an index
+    {
+      code: `
+        let query = firestore.collection('items').where('price', '>', 100);
+        if (sortByRating) {
+          query = query.orderBy('rating', 'desc');
+        }
+        query.get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'missingIndexForVariant',
+          data: {
+            collection: 'items',
+            variant: 'with sortByRating',
+            filters: 'price (>), rating (orderBy)',
+            indexesPath: testIndexesPath,
+            index: '{"collectionGroup":"items","queryScope":"COLLECTION","fields":[{"fieldPath":"price","order":"ASCENDING"},{"fieldPath":"rating","order":"DESCENDING"}]}',
+          },
+        },
+      ],
+    },
+
+    // Invalid: OR query where one disjunct is missing an index
+    {
+      code: `
+        firestore.collection('passports')
+          .where(Filter.or(Filter.where('intakers', '==', uid), Filter.where('owners', 'array-contains', uid)))
+          .orderBy('updated', 'desc')
+          .get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'missingIndexForVariant',
+          data: {
+            collection: 'passports',
+            variant: 'disjunct owners array-contains uid',
+            filters: 'owners (array-contains), updated (orderBy)',
+            indexesPath: testIndexesPath,
+            index: '{"collectionGroup":"passports","queryScope":"COLLECTION","fields":[{"fieldPath":"owners","arrayConfig":"CONTAINS"},{"fieldPath":"updated","order":"DESCENDING"}]}',
+          },
+        },
+      ],
+    },
+
+    // Invalid: Modular or() query, filters outside the or() apply to every disjunct
+    {
+      code: `
+        getDocs(query(
+          collection(db, 'passports'),
+          where('archived', '==', false),
+          or(where('intakers', '==', uid), where('readers', 'array-contains', uid))
+        ));
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'missingIndexForVariant',
+          data: {
+            collection: 'passports',
+            variant: 'disjunct readers array-contains uid',
+            filters: 'archived (==), readers (array-contains)',
+            indexesPath: testIndexesPath,
+            index: '{"collectionGroup":"passports","queryScope":"COLLECTION","fields":[{"fieldPath":"archived","order":"ASCENDING"},{"fieldPath":"readers","arrayConfig":"CONTAINS"}]}',
+          },
+        },
+      ],
+    },
+
+    // Invalid: Sum aggregation with a filter on another field needs a composite index
+    {
+      code: `
+        getAggregateFromServer(query(collection(db, 'invoices'), where('status', '==', 'paid')), { total: sum('amount') });
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'missingIndex',
+          data: {
+            collection: 'invoices',
+            filters: 'status (==), amount (sum)',
+            indexesPath: testIndexesPath,
+            index: '{"collectionGroup":"invoices","queryScope":"COLLECTION","fields":[{"fieldPath":"status","order":"ASCENDING"},{"fieldPath":"amount","order":"ASCENDING"}]}',
+          },
+        },
+      ],
+    },
+
+    // Invalid: Each aggregated field needs its own index
+    {
+      code: `
+        firestore.collection('invoices')
+          .where('customerId', '==', customerId)
+          .aggregate({ total: AggregateField.sum('amount'), averageTax: AggregateField.average('tax') })
+          .get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'missingIndexForVariant',
+          data: {
+            collection: 'invoices',
+            variant: 'average(tax)',
+            filters: 'customerId (==), tax (average)',
+            indexesPath: testIndexesPath,
+            index: '{"collectionGroup":"invoices","queryScope":"COLLECTION","fields":[{"fieldPath":"customerId","order":"ASCENDING"},{"fieldPath":"tax","order":"ASCENDING"}]}',
+          },
+        },
+      ],
+    },
+
+    // Invalid: Count aggregation runs the query's filters, which need an index
+    {
+      code: `
+        getCountFromServer(query(collection(db, 'items'), where('price', '>', 100), orderBy('rating', 'desc')));
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'missingIndex',
+        },
+      ],
+    },
+
+    // Invalid: Field name from a template literal with a constant
+    {
+      code: `
+        const prefix = 'address';
+        firestore.collection('users').where(\`\${prefix}.city\`, '>', 'A').orderBy('name').get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'missingIndex',
+          data: {
+            collection: 'users',
+            filters: 'address.city (>), name (orderBy)',
+            indexesPath: testIndexesPath,
+            index: '{"collectionGroup":"users","queryScope":"COLLECTION","fields":[{"fieldPath":"address.city","order":"ASCENDING"},{"fieldPath":"name","order":"ASCENDING"}]}',
+          },
+        },
+      ],
+    },
+
+    // Invalid: FieldPath segments are joined into a dotted path
+    {
+      code: `
+        const zip = new FieldPath('address', 'zip');
+        getDocs(query(collection(db, 'users'), orderBy(zip), orderBy('name')));
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'missingIndex',
+          data: {
+            collection: 'users',
+            filters: 'address.zip (orderBy), name (orderBy)',
+            indexesPath: testIndexesPath,
+            index: '{"collectionGroup":"users","queryScope":"COLLECTION","fields":[{"fieldPath":"address.zip","order":"ASCENDING"},{"fieldPath":"name","order":"ASCENDING"}]}',
+          },
+        },
+      ],
+    },
+
+    // Invalid: Field passed in as a parameter can't be worked out
+    {
+      code: `
+        function findBy(field, value) {
+          return firestore.collection('users').where(field, '==', value).orderBy('name').get();
+        }
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'unanalyzableField',
+          data: {
+            collection: 'users',
+            field: 'field',
+          },
+        },
+      ],
+    },
+
+    // Invalid: Vector search on a field without a vector index
+    {
+      code: `
+        firestore.collection('articles')
+          .findNearest({ vectorField: 'titleEmbedding', queryVector: FieldValue.vector([0.1, 0.2]), limit: 10, distanceMeasure: 'COSINE' })
+          .get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'missingIndex',
+          data: {
+            collection: 'articles',
+            filters: 'titleEmbedding (findNearest)',
+            indexesPath: testIndexesPath,
+            index: '{"collectionGroup":"articles","queryScope":"COLLECTION","fields":[{"fieldPath":"titleEmbedding","vectorConfig":{"dimension":2,"flat":{}}}]}',
+          },
+        },
+      ],
+    },
+
+    // Invalid: Vector search with a pre-filter that isn't in the vector index
+    {
+      code: `
+        firestore.collection('articles')
+          .where('author', '==', uid)
+          .findNearest('embedding', queryVector, { limit: 10, distanceMeasure: 'COSINE' })
+          .get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'missingIndex',
+          data: {
+            collection: 'articles',
+            filters: 'author (==), embedding (findNearest)',
+            indexesPath: testIndexesPath,
+            index: '{"collectionGroup":"articles","queryScope":"COLLECTION","fields":[{"fieldPath":"author","order":"ASCENDING"},{"fieldPath":"embedding","vectorConfig":{"flat":{}}}]}',
+          },
+        },
+      ],
+    },
+
+    // Invalid: Vector index with a different dimension than the query vector
+    {
+      code: `
+        firestore.collection('articles')
+          .findNearest({ vectorField: 'embedding', queryVector: FieldValue.vector([0.1, 0.2, 0.3, 0.4]), limit: 10, distanceMeasure: 'COSINE' })
+          .get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'wrongVectorDimension',
+          data: {
+            collection: 'articles',
+            field: 'embedding',
+            dimension: 4,
+            indexesPath: testIndexesPath,
+            index: '{"collectionGroup":"articles","queryScope":"COLLECTION","fields":[{"fieldPath":"embedding","vectorConfig":{"dimension":4,"flat":{}}}]}',
+          },
+        },
+      ],
+    },
+
+    // Invalid: If-else conditional - both variants are missing an index
+    {
+      code: `
+        async function test() {
+          let query = firestore.passportCollRef();
+
+          if (!isIntaker) {
+            query = query.where('owners', 'array-contains', uid);
+          } else {
+            query = query.where('readers', 'array-contains', uid);
+          }
+          const snapshot = await query.orderBy('updated', 'desc').get();
+        }
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'missingIndexForVariant',
+          data: {
+            collection: 'passports',
+            variant: 'without isIntaker',
+            filters: 'owners (array-contains), updated (orderBy)',
+            indexesPath: testIndexesPath,
+            index: '{"collectionGroup":"passports","queryScope":"COLLECTION","fields":[{"fieldPath":"owners","arrayConfig":"CONTAINS"},{"fieldPath":"updated","order":"DESCENDING"}]}',
+          },
+        },
+        {
+          messageId: 'missingIndexForVariant',
+          data: {
+            collection: 'passports',
+            variant: 'with isIntaker',
+            filters: 'readers (array-contains), updated (orderBy)',
+            indexesPath: testIndexesPath,
+            index: '{"collectionGroup":"passports","queryScope":"COLLECTION","fields":[{"fieldPath":"readers","arrayConfig":"CONTAINS"},{"fieldPath":"updated","order":"DESCENDING"}]}',
+          },
+        },
+      ],
+    },
+
+    // Invalid: Modular SDK - conditional constraint added with query(q, ...)
+    {
+      code: `
+        let q = query(collection(db, 'products'), where('price', '>', 100));
+        if (sort === 'rating') {
+          q = query(q, orderBy('rating', 'desc'));
+        }
+        getDocs(q);
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'missingIndexForVariant',
+          data: {
+            collection: 'products',
+            variant: "when sort === 'rating'",
+            filters: 'price (>), rating (orderBy)',
+            indexesPath: testIndexesPath,
+            index: '{"collectionGroup":"products","queryScope":"COLLECTION","fields":[{"fieldPath":"price","order":"ASCENDING"},{"fieldPath":"rating","order":"DESCENDING"}]}',
+          },
+        },
+      ],
+    },
+
+    // Invalid: Unconditional reassignments build a single query
+    {
+      code: `
+        let query = firestore.collection('orders');
+        query = query.where('price', '>', 100);
+        query = query.where('quantity', '<', 10);
+        query.get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'missingIndex',
+        },
+      ],
+    },
+    // Invalid: Variable declared without a value, assigned a query without an index
+    {
+      code: `
+        let query;
+        query = firestore.collection('orders').where('price', '>', 100).orderBy('quantity');
+        query.get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'missingIndex',
+        },
+      ],
+    },
+    // Invalid: Variable declared without a value, assigned in both branches of an if statement
+    {
+      code: `
+        let query;
+        if (published) {
+          query = firestore.collection('posts').where('status', '==', 'published').orderBy('createdAt', 'desc');
+        } else {
+          query = firestore.collection('posts').where('score', '>', 10).orderBy('updatedAt', 'desc');
+        }
+        query.get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'missingIndexForVariant',
+          data: {
+            collection: 'posts',
+            variant: 'without published',
+            filters: 'score (>), updatedAt (orderBy)',
+            indexesPath: testIndexesPath,
+            index: '{"collectionGroup":"posts","queryScope":"COLLECTION","fields":[{"fieldPath":"score","order":"ASCENDING"},{"fieldPath":"updatedAt","order":"DESCENDING"}]}',
+          },
+        },
+      ],
+    },
+    // Invalid: Shapes built in a switch are labelled with their clause
+    {
+      code: `
+        let query = firestore.collection('posts').where('status', '==', 'published');
+        switch (sort) {
+          case 'recent':
+            query = query.orderBy('createdAt', 'desc');
+            break;
+          default:
+            query = query.where('score', '>', 10).orderBy('updatedAt');
+        }
+        query.get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'missingIndexForVariant',
+          data: {
+            collection: 'posts',
+            variant: 'default',
+            filters: 'status (==), score (>), updatedAt (orderBy)',
+            indexesPath: testIndexesPath,
+            index: '{"collectionGroup":"posts","queryScope":"COLLECTION","fields":[{"fieldPath":"status","order":"ASCENDING"},{"fieldPath":"score","order":"ASCENDING"},{"fieldPath":"updatedAt","order":"ASCENDING"}]}',
+          },
+        },
+      ],
+    },
+    // Invalid: Shapes built in a loop are labelled with it
+    {
+      code: `
+        let query = firestore.collection('products').where('category', '==', category);
+        for (const tag of tags) {
+          query = query.where('tags', 'array-contains', tag);
+        }
+        query.orderBy('price').get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'missingIndexForVariant',
+          data: {
+            collection: 'products',
+            variant: 'in loop',
+            filters: 'category (==), tags (array-contains), price (orderBy)',
+            indexesPath: testIndexesPath,
+            index: '{"collectionGroup":"products","queryScope":"COLLECTION","fields":[{"fieldPath":"category","order":"ASCENDING"},{"fieldPath":"tags","arrayConfig":"CONTAINS"},{"fieldPath":"price","order":"ASCENDING"}]}',
+          },
+        },
+      ],
+    },
+    // Invalid: Reported index puts equality filters first, then array-contains, then range and orderBy fields
+    {
+      code: `
+        firestore.collection('tasks')
+          .where('dueDate', '<', deadline)
+          .where('tags', 'array-contains', tag)
+          .where('assignee', '==', userId)
+          .orderBy('dueDate', 'desc')
+          .orderBy('priority')
+          .get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'missingIndex',
+          data: {
+            collection: 'tasks',
+            filters: 'dueDate (<), tags (array-contains), assignee (==), dueDate (orderBy), priority (orderBy)',
+            indexesPath: testIndexesPath,
+            index: '{"collectionGroup":"tasks","queryScope":"COLLECTION","fields":[{"fieldPath":"assignee","order":"ASCENDING"},{"fieldPath":"tags","arrayConfig":"CONTAINS"},{"fieldPath":"dueDate","order":"DESCENDING"},{"fieldPath":"priority","order":"ASCENDING"}]}',
+          },
+        },
+      ],
+    },
+    // Invalid: Index has the fields, but one orderBy direction differs
+    {
+      code: `
+        firestore.collection('events').orderBy('startsAt').orderBy('priority').get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'wrongIndexDirection',
+          data: {
+            collection: 'events',
+            filters: 'startsAt (orderBy), priority (orderBy)',
+            indexesPath: testIndexesPath,
+            index: '{"collectionGroup":"events","queryScope":"COLLECTION","fields":[{"fieldPath":"startsAt","order":"ASCENDING"},{"fieldPath":"priority","order":"ASCENDING"}]}',
+          },
+        },
+      ],
+    },
+
+    // Invalid: Implicit __name__ ordering (descending, like the last orderBy) differs from the index
+    {
+      code: `
+        firestore.collection('messages')
+          .where('participants', 'array-contains', uid)
+          .orderBy('sentAt', 'desc')
+          .get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'wrongIndexDirection',
+        },
+      ],
+    },
+    // Invalid: typeAware on a file parsed without type information falls back to syntactic analysis
+    {
+      code: `
+        firestore.collection('products').where('price', '>', 100).orderBy('rating', 'desc').get();
+      `,
+      options: [{ indexesPath: testIndexesPath, typeAware: true }],
+      errors: [
+        {
+          messageId: 'missingTypeInformation',
+          line: 1,
+        },
+        {
+          messageId: 'missingIndex',
+        },
+      ],
+    },
+    // Invalid: A document ID filter puts __name__ last in the suggested index
+    {
+      code: `
+        firestore.collection('stories')
+          .where(FieldPath.documentId(), 'in', ids)
+          .where('tags', 'array-contains', tag)
+          .orderBy('publishedAt', 'desc')
+          .get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'missingIndex',
+          data: {
+            collection: 'stories',
+            filters: '__name__ (in), tags (array-contains), publishedAt (orderBy)',
+            indexesPath: testIndexesPath,
+            index: '{"collectionGroup":"stories","queryScope":"COLLECTION","fields":[{"fieldPath":"tags","arrayConfig":"CONTAINS"},{"fieldPath":"publishedAt","order":"DESCENDING"},{"fieldPath":"__name__","order":"DESCENDING"}]}',
+          },
+        },
+      ],
+    },
+    // Invalid: != is an inequality, so an orderBy on another field needs a composite index
+    {
+      code: `
+        firestore.collection('items')
+          .where('status', '!=', 'archived')
+          .orderBy('createdAt', 'desc')
+          .get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'missingIndex',
+          data: {
+            collection: 'items',
+            filters: 'status (!=), createdAt (orderBy)',
+            indexesPath: testIndexesPath,
+            index: '{"collectionGroup":"items","queryScope":"COLLECTION","fields":[{"fieldPath":"status","order":"ASCENDING"},{"fieldPath":"createdAt","order":"DESCENDING"}]}',
+          },
+        },
+      ],
+    },
+
+    // Invalid: not-in and a range filter on different fields
+    {
+      code: `
+        firestore.collection('items')
+          .where('status', 'not-in', ['archived', 'deleted'])
+          .where('price', '<', 100)
+          .get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'missingIndex',
+        },
+      ],
+    },
+
+    // Invalid: array-contains-any with in on a collection without a matching index
+    {
+      code: `
+        firestore.collection('articles')
+          .where('tags', 'array-contains-any', ['firestore', 'eslint'])
+          .where('language', 'in', ['en', 'nl'])
+          .get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'missingIndex',
+          data: {
+            collection: 'articles',
+            filters: 'tags (array-contains-any), language (in)',
+            indexesPath: testIndexesPath,
+            index: '{"collectionGroup":"articles","queryScope":"COLLECTION","fields":[{"fieldPath":"language","order":"ASCENDING"},{"fieldPath":"tags","arrayConfig":"CONTAINS"}]}',
+          },
+        },
+      ],
+    },
+    // Invalid: Single-field query on a field exempted from indexing
+    {
+      code: `
+        firestore.collection('notes').where('body', '==', text).get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'singleFieldIndexDisabled',
+          data: {
+            collection: 'notes',
+            field: 'body',
+            indexType: 'ASCENDING or DESCENDING',
+            indexesPath: testIndexesPath,
+          },
+        },
+      ],
+    },
+
+    // Invalid: Array-contains on a field whose override has no CONTAINS index
+    {
+      code: `
+        getDocs(query(collection(db, 'notes'), where('labels', 'array-contains', label)));
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'singleFieldIndexDisabled',
+          data: {
+            collection: 'notes',
+            field: 'labels',
+            indexType: 'CONTAINS',
+            indexesPath: testIndexesPath,
+          },
+        },
+      ],
+    },
+
+    // Invalid: A lone orderBy in a direction whose single-field index is disabled
+    {
+      code: `
+        firestore.collection('notes').orderBy('updatedAt', 'desc').get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'singleFieldIndexDisabled',
+          data: {
+            collection: 'notes',
+            field: 'updatedAt',
+            indexType: 'DESCENDING',
+            indexesPath: testIndexesPath,
+          },
+        },
+      ],
+    },
+
+    // Invalid: Subfields inherit the exemption of their map field
+    {
+      code: `
+        firestore.collection('notes').where('metadata.origin', '==', 'web').get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'singleFieldIndexDisabled',
+        },
+      ],
+    },
+
+    // Invalid: Index merging is unavailable when the descending single-field index is disabled
+    {
+      code: `
+        firestore.collection('notes')
+          .where('ownerId', '==', uid)
+          .orderBy('updatedAt', 'desc')
+          .get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'missingIndex',
+          data: {
+            collection: 'notes',
+            filters: 'ownerId (==), updatedAt (orderBy)',
+            indexesPath: testIndexesPath,
+            index: '{"collectionGroup":"notes","queryScope":"COLLECTION","fields":[{"fieldPath":"ownerId","order":"ASCENDING"},{"fieldPath":"updatedAt","order":"DESCENDING"}]}',
+          },
+        },
+      ],
+    },
+
+    // Invalid: collectionResolvers takes precedence over the guessed collection name
+    {
+      code: `
+        db.categoryRef().where('rank', '>', 10).orderBy('createdAt', 'desc').get();
+      `,
+      options: [{ indexesPath: testIndexesPath, collectionResolvers: { categoryRef: 'categories' } }],
+      errors: [
+        {
+          messageId: 'missingIndex',
+          data: {
+            collection: 'categories',
+            filters: 'rank (>), createdAt (orderBy)',
+            indexesPath: testIndexesPath,
+            index: '{"collectionGroup":"categories","queryScope":"COLLECTION","fields":[{"fieldPath":"rank","order":"ASCENDING"},{"fieldPath":"createdAt","order":"DESCENDING"}]}',
+          },
+        },
+      ],
+    },
+
+    // Invalid: collectionResolvers patterns with the y flag match every call, not every other one
+    {
+      code: `
+        orderColl().where('total', '>', 100).orderBy('createdAt', 'desc').get();
+        orderColl().where('total', '>', 100).orderBy('updatedAt', 'desc').get();
+      `,
+      options: [{ indexesPath: testIndexesPath, collectionResolvers: { '/^(\\w+)Coll$/y': '$1s' } }],
+      errors: [
+        {
+          messageId: 'missingIndex',
+          data: {
+            collection: 'orders',
+            filters: 'total (>), createdAt (orderBy)',
+            indexesPath: testIndexesPath,
+            index: '{"collectionGroup":"orders","queryScope":"COLLECTION","fields":[{"fieldPath":"total","order":"ASCENDING"},{"fieldPath":"createdAt","order":"DESCENDING"}]}',
+          },
+        },
+        {
+          messageId: 'missingIndex',
+          data: {
+            collection: 'orders',
+            filters: 'total (>), updatedAt (orderBy)',
+            indexesPath: testIndexesPath,
+            index: '{"collectionGroup":"orders","queryScope":"COLLECTION","fields":[{"fieldPath":"total","order":"ASCENDING"},{"fieldPath":"updatedAt","order":"DESCENDING"}]}',
+          },
+        },
+      ],
+    },
+
+    // Invalid: collectionResolvers pattern that isn't a valid regular expression
+    {
+      code: `
+        orderColl().where('total', '>', 100).orderBy('createdAt', 'desc').get();
+      `,
+      options: [{ indexesPath: testIndexesPath, collectionResolvers: { '/^(\\w+Coll$/': '$1s' } }],
+      errors: [
+        {
+          messageId: 'invalidCollectionResolver',
+          line: 1,
+        },
+      ],
+    },
+
+    // Invalid: The index exists, but only in the default database's indexes file
+    {
+      code: `
+        getFirestore('analytics').collection('orders').where('total', '>', 100).orderBy('createdAt', 'desc').get();
+      `,
+      filename: firebaseProjectFile,
+      errors: [
+        {
+          messageId: 'missingIndex',
+          data: {
+            collection: 'orders',
+            filters: 'total (>), createdAt (orderBy)',
+            indexesPath: analyticsIndexesPath,
+            index: '{"collectionGroup":"orders","queryScope":"COLLECTION","fields":[{"fieldPath":"total","order":"ASCENDING"},{"fieldPath":"createdAt","order":"DESCENDING"}]}',
+          },
+        },
+      ],
+    },
+
+    // Invalid: Subcollection of a document in a named database
+    {
+      code: `
+        const db = getFirestore(app, 'analytics');
+        getDocs(query(collection(doc(db, 'users', uid), 'orders'), where('total', '>', 100), orderBy('createdAt', 'desc')));
+      `,
+      filename: firebaseProjectFile,
+      errors: [
+        {
+          messageId: 'missingIndex',
+          data: {
+            collection: 'orders',
+            filters: 'total (>), createdAt (orderBy)',
+            indexesPath: analyticsIndexesPath,
+            index: '{"collectionGroup":"orders","queryScope":"COLLECTION","fields":[{"fieldPath":"total","order":"ASCENDING"},{"fieldPath":"createdAt","order":"DESCENDING"}]}',
+          },
+        },
+      ],
+    },
+
+    // Invalid: Database without an indexes file in firebase.json
+    {
+      code: `
+        const db = getFirestore(app, 'archive');
+        getDocs(query(collection(db, 'orders'), where('total', '>', 100), orderBy('createdAt', 'desc')));
+      `,
+      filename: firebaseProjectFile,
+      errors: [
+        {
+          messageId: 'unknownDatabase',
+          data: {
+            collection: 'orders',
+            database: 'archive',
+          },
+        },
+      ],
+    },
+
+    // Invalid: Subcollection paths with unknown document IDs, and subcollections of a document reference
+    {
+      code: `
+        firestore.collection('shops/' + shopId + '/products').where('price', '>', 100).orderBy('rating', 'desc').get();
+        const shop = doc(db, \`shops/\${shopId}\`);
+        getDocs(query(collection(shop, 'products'), where('stock', '>', 0), orderBy('rating', 'desc')));
+        getDocs(query(collection(db, \`shops/\${shopId}/products\`), where('brand', '>', brand), orderBy('name')));
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'missingIndex',
+          data: {
+            collection: 'products',
+            filters: 'price (>), rating (orderBy)',
+            indexesPath: testIndexesPath,
+            index: '{"collectionGroup":"products","queryScope":"COLLECTION","fields":[{"fieldPath":"price","order":"ASCENDING"},{"fieldPath":"rating","order":"DESCENDING"}]}',
+          },
+        },
+        {
+          messageId: 'missingIndex',
+          data: {
+            collection: 'products',
+            filters: 'stock (>), rating (orderBy)',
+            indexesPath: testIndexesPath,
+            index: '{"collectionGroup":"products","queryScope":"COLLECTION","fields":[{"fieldPath":"stock","order":"ASCENDING"},{"fieldPath":"rating","order":"DESCENDING"}]}',
+          },
+        },
+        {
+          messageId: 'missingIndex',
+          data: {
+            collection: 'products',
+            filters: 'brand (>), name (orderBy)',
+            indexesPath: testIndexesPath,
+            index: '{"collectionGroup":"products","queryScope":"COLLECTION","fields":[{"fieldPath":"brand","order":"ASCENDING"},{"fieldPath":"name","order":"ASCENDING"}]}',
+          },
+        },
+      ],
+    },
+
+    // Invalid: Constraint pushed onto a spread array when a condition holds
+    {
+      code: `
+        const constraints = [where('status', '==', 'open')];
+        if (minTotal) {
+          constraints.push(where('total', '>', minTotal));
+        }
+        getDocs(query(collection(db, 'orders'), ...constraints, orderBy('createdAt', 'desc')));
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'missingIndexForVariant',
+          data: {
+            collection: 'orders',
+            variant: 'with minTotal',
+            filters: 'status (==), total (>), createdAt (orderBy)',
+            indexesPath: testIndexesPath,
+            index: '{"collectionGroup":"orders","queryScope":"COLLECTION","fields":[{"fieldPath":"status","order":"ASCENDING"},{"fieldPath":"total","order":"ASCENDING"},{"fieldPath":"createdAt","order":"DESCENDING"}]}',
+          },
+        },
+      ],
+    },
+
+    // Invalid: Constraint arrays built with concat() and a conditional expression
+    {
+      code: `
+        let constraints = [where('status', '==', 'open')];
+        if (region) {
+          constraints = constraints.concat(where('region', '==', region), [orderBy('total')]);
+        }
+        const sorting = byDate ? [orderBy('createdAt', 'desc')] : [];
+        getDocs(query(collection(db, 'orders'), ...constraints, ...sorting));
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'missingIndexForVariant',
+          data: {
+            collection: 'orders',
+            variant: 'with region, with byDate',
+            filters: 'status (==), region (==), total (orderBy), createdAt (orderBy)',
+            indexesPath: testIndexesPath,
+            index: '{"collectionGroup":"orders","queryScope":"COLLECTION","fields":[{"fieldPath":"status","order":"ASCENDING"},{"fieldPath":"region","order":"ASCENDING"},{"fieldPath":"total","order":"ASCENDING"},{"fieldPath":"createdAt","order":"DESCENDING"}]}',
+          },
+        },
+      ],
+    },
+
+    // Invalid: followHelpers completes queries with the return value of local helpers
+    {
+      code: `
+        function activeOrders(db) {
+          return db.collection('orders').where('total', '>', 100);
+        }
+        activeOrders(db).orderBy('createdAt', 'desc').get();
+      `,
+      options: [{ indexesPath: testIndexesPath, followHelpers: true }],
+      errors: [
+        {
+          messageId: 'missingIndex',
+          data: {
+            collection: 'orders',
+            filters: 'total (>), createdAt (orderBy)',
+            indexesPath: testIndexesPath,
+            index: '{"collectionGroup":"orders","queryScope":"COLLECTION","fields":[{"fieldPath":"total","order":"ASCENDING"},{"fieldPath":"createdAt","order":"DESCENDING"}]}',
+          },
+        },
+      ],
+    },
+
+    // Invalid: Helper with several return statements, only one of them lacks an index
+    {
+      code: `
+        const ordersQuery = function(db, minTotal) {
+          if (minTotal) {
+            return db.collection('orders').where('total', '>', minTotal);
+          }
+          return db.collection('orders');
+        };
+        getDocs(query(ordersQuery(db, minTotal), orderBy('createdAt', 'desc')));
+      `,
+      options: [{ indexesPath: testIndexesPath, followHelpers: true }],
+      errors: [
+        {
+          messageId: 'missingIndexForVariant',
+          data: {
+            collection: 'orders',
+            variant: 'ordersQuery() returning on line 4',
+            filters: 'total (>), createdAt (orderBy)',
+            indexesPath: testIndexesPath,
+            index: '{"collectionGroup":"orders","queryScope":"COLLECTION","fields":[{"fieldPath":"total","order":"ASCENDING"},{"fieldPath":"createdAt","order":"DESCENDING"}]}',
+          },
+        },
+      ],
+    },
+
+    // Invalid: References and helpers imported from a local module, also through re-exports
+    {
+      code: `
+        import { accountsRef, ordersBy } from './refs';
+        import { recentOrders, usersRef } from './index.js';
+        usersRef.where('name', '>', 'A').orderBy('age').get();
+        accountsRef.where('city', '>', 'B').orderBy('age').get();
+        recentOrders(db, since).orderBy('createdAt').orderBy('total').get();
+        ordersBy(db, 'region', region).orderBy('total').get();
+      `,
+      filename: helpersFile,
+      options: [{ indexesPath: testIndexesPath, followHelpers: true }],
+      errors: [
+        {
+          messageId: 'missingIndex',
+          data: {
+            collection: 'users',
+            filters: 'name (>), age (orderBy)',
+            indexesPath: testIndexesPath,
+            index: '{"collectionGroup":"users","queryScope":"COLLECTION","fields":[{"fieldPath":"name","order":"ASCENDING"},{"fieldPath":"age","order":"ASCENDING"}]}',
+          },
+        },
+        {
+          messageId: 'missingIndex',
+          data: {
+            collection: 'users',
+            filters: 'city (>), age (orderBy)',
+            indexesPath: testIndexesPath,
+            index: '{"collectionGroup":"users","queryScope":"COLLECTION","fields":[{"fieldPath":"city","order":"ASCENDING"},{"fieldPath":"age","order":"ASCENDING"}]}',
+          },
+        },
+        {
+          messageId: 'missingIndex',
+          data: {
+            collection: 'orders',
+            filters: 'createdAt (>), createdAt (orderBy), total (orderBy)',
+            indexesPath: testIndexesPath,
+            index: '{"collectionGroup":"orders","queryScope":"COLLECTION","fields":[{"fieldPath":"createdAt","order":"ASCENDING"},{"fieldPath":"total","order":"ASCENDING"}]}',
+          },
+        },
+        {
+          messageId: 'unanalyzableField',
+          data: {
+            collection: 'orders',
+            field: 'field',
+          },
+        },
+      ],
+    },
+
+    // Invalid: mergePolicy warn suggests a composite index for a query that relies on index merging
+    {
+      code: `
+        firestore.collection('orders').where('customerId', '==', customerId).orderBy('orderDate', 'desc').get();
+      `,
+      options: [{ indexesPath: testIndexesPath, mergePolicy: 'warn' }],
+      errors: [
+        {
+          messageId: 'indexMerging',
+          data: {
+            collection: 'orders',
+            filters: 'customerId (==), orderDate (orderBy)',
+            indexesPath: testIndexesPath,
+            index: '{"collectionGroup":"orders","queryScope":"COLLECTION","fields":[{"fieldPath":"customerId","order":"ASCENDING"},{"fieldPath":"orderDate","order":"DESCENDING"}]}',
+          },
+        },
+      ],
+    },
+
+    // Invalid: mergePolicy forbid requires a composite index instead of index merging
+    {
+      code: `
+        let orders = firestore.collection('orders').where('customerId', '==', customerId);
+        if (status) {
+          orders = orders.where('status', '==', status);
+        }
+        orders.get();
+      `,
+      options: [{ indexesPath: testIndexesPath, mergePolicy: 'forbid' }],
+      errors: [
+        {
+          messageId: 'missingIndexForVariant',
+          data: {
+            collection: 'orders',
+            variant: 'with status',
+            filters: 'customerId (==), status (==)',
+            indexesPath: testIndexesPath,
+            index: '{"collectionGroup":"orders","queryScope":"COLLECTION","fields":[{"fieldPath":"customerId","order":"ASCENDING"},{"fieldPath":"status","order":"ASCENDING"}]}',
+          },
+        },
+      ],
+    },
+
+    // Invalid: Missing indexes file is reported once instead of a missing index per query
+    {
+      code: `
+        firestore.collection('products').where('price', '>', 100).orderBy('rating', 'desc').get();
+        firestore.collection('posts').where('views', '>', 100).orderBy('createdAt', 'desc').get();
+      `,
+      options: [{ indexesPath: missingIndexesPath }],
+      errors: [
+        {
+          messageId: 'indexFileNotFound',
+          data: { indexesPath: missingIndexesPath },
+          line: 2,
+        },
+      ],
+    },
+
+    // Invalid: allowMissingIndexesFile treats a missing file as having no indexes
+    {
+      code: `
+        firestore.collection('products').where('price', '>', 100).orderBy('rating', 'desc').get();
+      `,
+      options: [{ indexesPath: missingIndexesPath, allowMissingIndexesFile: true }],
+      errors: [
+        {
+          messageId: 'missingIndex',
+        },
+      ],
+    },
+
+    // Invalid: JSON syntax error in the indexes file, with its location
+    {
+      code: `
+        firestore.collection('products').where('price', '>', 100).orderBy('rating', 'desc').get();
+      `,
+      options: [{ indexesPath: syntaxErrorIndexesPath }],
+      errors: [
+        {
+          messageId: 'indexFileSyntaxError',
+          data: {
+            indexesPath: syntaxErrorIndexesPath,
+            error: "Expected ',' or '}' after property value",
+            line: 3,
+            column: 62,
+          },
+        },
+      ],
+    },
+
+    // Invalid: Indexes file that doesn't match the Firebase index schema
+    {
+      code: `
+        firestore.collection('products').where('price', '>', 100).orderBy('rating', 'desc').get();
+      `,
+      options: [{ indexesPath: schemaErrorIndexesPath }],
+      errors: [
+        {
+          messageId: 'indexFileSchemaError',
+          data: {
+            indexesPath: schemaErrorIndexesPath,
+            error: 'indexes[0].fields must be a non-empty array',
+          },
+        },
+      ],
+    },
+
+    // Invalid: Collection group query with only a COLLECTION scope composite index
+    {
+      code: `
+        firestore.collectionGroup('posts')
+          .where('status', '==', 'published')
+          .orderBy('createdAt', 'desc')
+          .get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'missingIndex',
+          data: {
+            collection: 'posts',
+            filters: 'status (==), createdAt (orderBy)',
+            indexesPath: testIndexesPath,
+            index: '{"collectionGroup":"posts","queryScope":"COLLECTION_GROUP","fields":[{"fieldPath":"status","order":"ASCENDING"},{"fieldPath":"createdAt","order":"DESCENDING"}]}',
+          },
+        },
+      ],
+    },
+
+    // Invalid: Collection group queries have no automatic single-field indexes
+    {
+      code: `
+        getDocs(query(collectionGroup(db, 'comments'), where('authorId', '==', uid)));
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'collectionGroupFieldIndexMissing',
+          data: {
+            collection: 'comments',
+            field: 'authorId',
+            indexType: 'ASCENDING or DESCENDING',
+            indexesPath: testIndexesPath,
+          },
+        },
+      ],
+    },
+
+    // Invalid: Conditional filter in a collection group query without a single-field index
+    {
+      code: `
+        let comments = firestore.collectionGroup('comments');
+        if (authorId) {
+          comments = comments.where('authorId', '==', authorId);
+        }
+        comments.get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'collectionGroupFieldIndexMissingForVariant',
+          data: {
+            collection: 'comments',
+            variant: 'with authorId',
+            field: 'authorId',
+            indexType: 'ASCENDING or DESCENDING',
+            indexesPath: testIndexesPath,
+          },
+        },
+      ],
+    },
+
+    // Invalid: A lone orderBy in a collection group query needs a single-field index, not a composite one
+    {
+      code: `
+        firestore.collectionGroup('comments').orderBy('createdAt').get();
+      `,
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'collectionGroupFieldIndexMissing',
+          data: {
+            collection: 'comments',
+            field: 'createdAt',
+            indexType: 'ASCENDING',
+            indexesPath: testIndexesPath,
+          },
+        },
+      ],
+    },
+  ],
+});
+
+// TypeScript project with minimal Firestore typings, for the typeAware option
+const typescriptFixturesDir = path.join(__dirname, 'fixtures', 'typescript');
+
+const typeAwareRuleTester = new RuleTester({
+  languageOptions: {
+    parser: require('@typescript-eslint/parser'),
+    parserOptions: {
+      project: './tsconfig.json',
+      tsconfigRootDir: typescriptFixturesDir,
+    },
+  },
+});
+
+describe('firestore-indexes typeAware', function() {
+  // Creating the TypeScript program for the first test takes a while
+  this.timeout(20000);
+
+  typeAwareRuleTester.run('firestore-indexes with typeAware', rule, {
+    valid: [
+      // Valid: Chain that looks like a query, on an object that isn't a Firestore reference
+      {
+        code: `
+          const store = {
+            collection: (name: string) => ({
+              where: (...args: unknown[]) => ({ orderBy: (field: string) => ({ get: () => name }) }),
+            }),
+          };
+          store.collection('items').where('price', '>', 100).orderBy('rating').get();
+        `,
+        filename: path.join(typescriptFixturesDir, 'file.ts'),
+        options: [{ indexesPath: testIndexesPath, typeAware: true }],
+      },
+
+      // Valid: Typed reference whose document type has no name to infer a collection from
+      {
+        code: `
+          import { CollectionReference } from '@google-cloud/firestore';
+          export function load(items: CollectionReference) {
+            return items.where('price', '>', 100).orderBy('rating').get();
+          }
+        `,
+        filename: path.join(typescriptFixturesDir, 'file.ts'),
+        options: [{ indexesPath: testIndexesPath, typeAware: true }],
+      },
+    ],
+
+    invalid: [
+      // Invalid: Query on a parameter, the collection comes from its document type
+      {
+        code: `
+          import { CollectionReference } from '@google-cloud/firestore';
+          interface Order { total: number; createdAt: Date }
+          export function loadOrders(orders: CollectionReference<Order>) {
+            return orders.where('total', '>', 100).orderBy('createdAt', 'desc').get();
+          }
+        `,
+        filename: path.join(typescriptFixturesDir, 'file.ts'),
+        options: [{ indexesPath: testIndexesPath, typeAware: true }],
+        errors: [
+          {
+            messageId: 'missingIndex',
+            data: {
+              collection: 'orders',
+              filters: 'total (>), createdAt (orderBy)',
+              indexesPath: testIndexesPath,
+              index: '{"collectionGroup":"orders","queryScope":"COLLECTION","fields":[{"fieldPath":"total","order":"ASCENDING"},{"fieldPath":"createdAt","order":"DESCENDING"}]}',
+            },
+          },
+        ],
+      },
+
+      // Invalid: Field names from a string enum
+    {
+      code: `
+        enum OrderField { Total = 'total', CreatedAt = 'createdAt' }
+        getDocs(query(collection(db, 'orders'), where(OrderField.Total, '>', 100), orderBy(OrderField.CreatedAt, 'desc')));
+      `,
+      filename: path.join(typescriptFixturesDir, 'file.ts'),
+      options: [{ indexesPath: testIndexesPath }],
+      errors: [
+        {
+          messageId: 'missingIndex',
+          data: {
+            collection: 'orders',
+            filters: 'total (>), createdAt (orderBy)',
+            indexesPath: testIndexesPath,
+            index: '{"collectionGroup":"orders","queryScope":"COLLECTION","fields":[{"fieldPath":"total","order":"ASCENDING"},{"fieldPath":"createdAt","order":"DESCENDING"}]}',
+          },
+        },
+      ],
+    },
+
+    // Invalid: collectionResolvers maps a document type to its collection, CollectionGroup sets the scope
+      {
+        code: `
+          import { CollectionGroup } from '@google-cloud/firestore';
+          interface Order { total: number; createdAt: Date }
+          class OrderRepository {
+            constructor(private readonly orders: CollectionGroup<Order>) {}
+            recent() {
+              return this.orders.where('total', '>', 100).orderBy('createdAt', 'desc').get();
+            }
+          }
+        `,
+        filename: path.join(typescriptFixturesDir, 'file.ts'),
+        options: [{ indexesPath: testIndexesPath, typeAware: true, collectionResolvers: { Order: 'purchases' } }],
+        errors: [
+          {
+            messageId: 'missingIndex',
+            data: {
+              collection: 'purchases',
+              filters: 'total (>), createdAt (orderBy)',
+              indexesPath: testIndexesPath,
+              index: '{"collectionGroup":"purchases","queryScope":"COLLECTION_GROUP","fields":[{"fieldPath":"total","order":"ASCENDING"},{"fieldPath":"createdAt","order":"DESCENDING"}]}',
+            },
+          },
+        ],
+      },
+    ],
+  });
+});
+
+describe('firestore-indexes indexes file cache', function() {
+  let tempDir;
+  let indexesPath;
+
+  /**
+   * Lint a query that needs a products index with the rule
+   * @returns {Array<string>} Message ids
+   */
+  function lint() {
+    const linter = new Linter({ configType: 'flat' });
+    const messages = linter.verify(`
+      firestore.collection('products').where('price', '>', 100).orderBy('rating', 'desc').get();
+    `, [
+      {
+        plugins: { local: { rules: { 'firestore-indexes': rule } } },
+        rules: { 'local/firestore-indexes': ['error', { indexesPath }] },
+      },
+    ], 'queries.js');
+    return messages.map(message => message.messageId);
+  }
+
+  /**
+   * Write the indexes file with a modification time that differs from the previous write
+   * @param {Array} indexes - Composite indexes
+   * @param {number} mtime - Modification time in seconds
+   */
+  function writeIndexes(indexes, mtime) {
+    fs.writeFileSync(indexesPath, JSON.stringify({ indexes, fieldOverrides: [] }));
+    fs.utimesSync(indexesPath, mtime, mtime);
+  }
+
+  beforeEach(function() {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-firestore-indexes-'));
+    indexesPath = path.join(tempDir, 'indexes.json');
+  });
+
+  afterEach(function() {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('picks up changes to the indexes file between linted files', function() {
+    writeIndexes([], 1000);
+    assert.deepStrictEqual(lint(), ['missingIndex']);
+
+    writeIndexes([{
+      collectionGroup: 'products',
+      queryScope: 'COLLECTION',
+      fields: [
+        { fieldPath: 'price', order: 'ASCENDING' },
+        { fieldPath: 'rating', order: 'DESCENDING' },
+      ],
+    }], 2000);
+    assert.deepStrictEqual(lint(), []);
+
+    fs.rmSync(indexesPath);
+    assert.deepStrictEqual(lint(), ['indexFileNotFound']);
+  });
+
+  it('reads an unchanged indexes file once for all linted files', function() {
+    writeIndexes([], 1000);
+
+    const readFileSync = fs.readFileSync;
+    let indexesReads = 0;
+    fs.readFileSync = function(filePath, ...args) {
+      if (filePath === indexesPath) {
+        indexesReads++;
+      }
+      return readFileSync.call(this, filePath, ...args);
+    };
+    try {
+      assert.deepStrictEqual(lint(), ['missingIndex']);
+      assert.deepStrictEqual(lint(), ['missingIndex']);
+      assert.deepStrictEqual(lint(), ['missingIndex']);
+      assert.strictEqual(indexesReads, 1);
+    } finally {
+      fs.readFileSync = readFileSync;
+    }
+  });
+
+  it('reads firebase.json once while it is unchanged', function() {
+    const configPath = path.join(tempDir, 'firebase.json');
+    fs.writeFileSync(configPath, JSON.stringify({ firestore: { indexes: 'indexes.json' } }));
+    fs.utimesSync(configPath, 1000, 1000);
+    writeIndexes([], 1000);
+
+    const lintProjectFile = () => new Linter({ configType: 'flat', cwd: tempDir }).verify(`
+      firestore.collection('products').where('price', '>', 100).orderBy('rating', 'desc').get();
+    `, [
+      {
+        plugins: { local: { rules: { 'firestore-indexes': rule } } },
+        rules: { 'local/firestore-indexes': 'error' },
+      },
+    ], path.join(tempDir, 'src', 'queries.js')).map(message => message.messageId);
+
+    const readFileSync = fs.readFileSync;
+    let configReads = 0;
+    fs.readFileSync = function(filePath, ...args) {
+      if (filePath === configPath) {
+        configReads++;
+      }
+      return readFileSync.call(this, filePath, ...args);
+    };
+    try {
+      assert.deepStrictEqual(lintProjectFile(), ['missingIndex']);
+      assert.deepStrictEqual(lintProjectFile(), ['missingIndex']);
+      assert.strictEqual(configReads, 1);
+
+      fs.writeFileSync(configPath, JSON.stringify({ firestore: { indexes: 'missing.indexes.json' } }));
+      fs.utimesSync(configPath, 2000, 2000);
+      assert.deepStrictEqual(lintProjectFile(), ['indexFileNotFound']);
+      assert.strictEqual(configReads, 2);
+    } finally {
+      fs.readFileSync = readFileSync;
+    }
+  });
+});
+
+describe('firestore-indexes suggested indexes', function() {
+  const queries = {
+    'orderBy on a field with an equality filter': [
+      { field: 'a', operator: '==' },
+      { field: 'a', operator: 'orderBy', order: 'DESCENDING' },
+      { field: 'b', operator: 'orderBy', order: 'ASCENDING' },
+      { field: 'c', operator: 'array-contains' },
+    ],
+    'orderBy on a range-filtered field': [
+      { field: 'status', operator: '==' },
+      { field: 'total', operator: '>' },
+      { field: 'total', operator: 'orderBy', order: 'DESCENDING' },
+      { field: 'createdAt', operator: 'orderBy', order: 'ASCENDING' },
+    ],
+    'document ID filter': [
+      { field: '__name__', operator: 'in' },
+      { field: 'tags', operator: 'array-contains' },
+      { field: 'publishedAt', operator: 'orderBy', order: 'DESCENDING' },
+    ],
+  };
+
+  for (const [name, queryFields] of Object.entries(queries)) {
+    it(`serves the query it was built for: ${name}`, function() {
+      const index = buildIndexDefinition('items', queryFields);
+      assert.ok(hasIndex({ indexes: [index] }, 'items', queryFields), JSON.stringify(index));
+    });
+  }
+});
+
+console.log('All tests passed!');
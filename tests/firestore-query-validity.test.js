@@ -0,0 +1,267 @@
+/**
+ * @fileoverview Tests for firestore-query-validity rule
+ * @author Q42
+ */
+'use strict';
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const { RuleTester } = require('eslint');
+const rule = require('../lib/rules/firestore-query-validity');
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+const ruleTester = new RuleTester({
+  languageOptions: {
+    ecmaVersion: 2020,
+    sourceType: 'module',
+  },
+});
+
+ruleTester.run('firestore-query-validity', rule, {
+  valid: [
+    // Valid: One array-contains filter combined with in
+    {
+      code: `
+        firestore.collection('posts')
+          .where('tags', 'array-contains', 'news')
+          .where('status', 'in', ['draft', 'published'])
+          .get();
+      `,
+    },
+
+    // Valid: not-in with at most 10 values and a range filter on another field
+    {
+      code: `
+        getDocs(query(
+          collection(db, 'orders'),
+          where('status', 'not-in', ['cancelled', 'refunded']),
+          where('total', '>', 100)
+        ));
+      `,
+    },
+
+    // Valid: 30 disjunctions
+    {
+      code: `
+        firestore.collection('products')
+          .where('category', 'in', ['a', 'b', 'c', 'd', 'e', 'f'])
+          .where('color', 'in', ['red', 'green', 'blue', 'black', 'white'])
+          .get();
+      `,
+    },
+
+    // Valid: limitToLast with orderBy, also when the orderBy comes from the query variable
+    {
+      code: `
+        const messages = firestore.collection('messages').orderBy('sentAt');
+        messages.limitToLast(20).get();
+        getDocs(query(collection(db, 'messages'), orderBy('sentAt'), limitToLast(20)));
+      `,
+    },
+
+    // Valid: One array-contains filter in each disjunct of an OR query
+    {
+      code: `
+        firestore.collection('posts')
+          .where(Filter.or(Filter.where('tags', 'array-contains', 'news'), Filter.where('authors', 'array-contains', uid)))
+          .get();
+      `,
+    },
+
+    // Valid: Range filters on the same field
+    {
+      code: `
+        firestore.collection('users').where('age', '>=', 18).where('age', '<', 65).get();
+      `,
+    },
+  ],
+
+  invalid: [
+    // Invalid: Two array-contains filters
+    {
+      code: `
+        firestore.collection('posts')
+          .where('tags', 'array-contains', 'news')
+          .where('authors', 'array-contains-any', [uid])
+          .get();
+      `,
+      errors: [
+        {
+          messageId: 'multipleArrayContains',
+          data: { collection: 'posts' },
+        },
+      ],
+    },
+
+    // Invalid: typeAware on a file parsed without type information falls back to syntactic analysis
+    {
+      code: `
+        firestore.collection('posts').where('tags', 'array-contains', 'news').where('authors', 'array-contains', uid).get();
+      `,
+      options: [{ typeAware: true }],
+      errors: [
+        {
+          messageId: 'missingTypeInformation',
+        },
+        {
+          messageId: 'multipleArrayContains',
+        },
+      ],
+    },
+
+    // Invalid: != and not-in in the same query
+    {
+      code: `
+        getDocs(query(collection(db, 'orders'), where('status', '!=', 'open'), where('region', 'not-in', ['eu'])));
+      `,
+      errors: [
+        {
+          messageId: 'multipleNotEqual',
+          data: { collection: 'orders' },
+        },
+      ],
+    },
+
+    // Invalid: not-in combined with in
+    {
+      code: `
+        firestore.collection('orders').where('status', 'not-in', ['open']).where('region', 'in', ['eu', 'us']).get();
+      `,
+      errors: [
+        {
+          messageId: 'notInCombined',
+          data: { collection: 'orders', operator: 'in' },
+        },
+      ],
+    },
+
+    // Invalid: not-in with more than 10 values
+    {
+      code: `
+        firestore.collection('orders').where('id', 'not-in', [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]).get();
+      `,
+      errors: [
+        {
+          messageId: 'tooManyNotInValues',
+          data: { collection: 'orders', field: 'id', count: 11, max: 10 },
+        },
+      ],
+    },
+
+    // Invalid: More than 30 disjunctions from two in filters
+    {
+      code: `
+        firestore.collection('products')
+          .where('category', 'in', ['a', 'b', 'c', 'd', 'e', 'f', 'g'])
+          .where('color', 'in', ['red', 'green', 'blue', 'black', 'white'])
+          .get();
+      `,
+      errors: [
+        {
+          messageId: 'tooManyDisjunctions',
+          data: { collection: 'products', count: 35, max: 30 },
+        },
+      ],
+    },
+
+    // Invalid: More than 30 disjunctions once the OR query is in disjunctive normal form
+    {
+      code: `
+        getDocs(query(
+          collection(db, 'products'),
+          where('region', 'in', ['eu', 'us', 'asia']),
+          or(where('category', 'in', ['a', 'b', 'c', 'd', 'e', 'f']), where('color', 'in', ['red', 'green', 'blue', 'black', 'white']))
+        ));
+      `,
+      errors: [
+        {
+          messageId: 'tooManyDisjunctions',
+          data: { collection: 'products', count: 33, max: 30 },
+        },
+      ],
+    },
+
+    // Invalid: not-in in an OR query
+    {
+      code: `
+        getDocs(query(collection(db, 'orders'), or(where('status', 'not-in', ['open']), where('total', '>', 100))));
+      `,
+      errors: [
+        {
+          messageId: 'notInCombinedForVariant',
+          data: { collection: 'orders', operator: 'or', variant: "disjunct status not-in ['open']" },
+        },
+      ],
+    },
+
+    // Invalid: limitToLast without orderBy, in the modular and chained syntax
+    {
+      code: `
+        getDocs(query(collection(db, 'messages'), where('roomId', '==', roomId), limitToLast(20)));
+        firestore.collection('messages').limitToLast(20).get();
+      `,
+      errors: [
+        {
+          messageId: 'limitToLastWithoutOrderBy',
+          data: { collection: 'messages' },
+        },
+        {
+          messageId: 'limitToLastWithoutOrderBy',
+          data: { collection: 'messages' },
+        },
+      ],
+    },
+
+    // Invalid: Equality and inequality filter on the same field
+    {
+      code: `
+        firestore.collection('users').where('age', '==', 30).where('age', '>', 18).get();
+      `,
+      errors: [
+        {
+          messageId: 'equalityAndInequality',
+          data: { collection: 'users', field: 'age' },
+        },
+      ],
+    },
+
+    // Invalid: limitToLast in a spread constraint array that only sometimes gets an orderBy
+    {
+      code: `
+        const constraints = [where('roomId', '==', roomId), limitToLast(20)];
+        if (sorted) {
+          constraints.unshift(orderBy('sentAt'));
+        }
+        getDocs(query(collection(db, 'messages'), ...constraints));
+      `,
+      errors: [
+        {
+          messageId: 'limitToLastWithoutOrderByForVariant',
+          data: { collection: 'messages', variant: 'without sorted' },
+        },
+      ],
+    },
+
+    // Invalid: Only the variant with the conditional filter is rejected
+    {
+      code: `
+        let posts = firestore.collection('posts').where('tags', 'array-contains', 'news');
+        if (author) {
+          posts = posts.where('authors', 'array-contains', author);
+        }
+        posts.get();
+      `,
+      errors: [
+        {
+          messageId: 'multipleArrayContainsForVariant',
+          data: { collection: 'posts', variant: 'with author' },
+        },
+      ],
+    },
+  ],
+});
@@ -0,0 +1,2 @@
+// Re-exports the helpers, like the index module of a package
+export { recentOrders, usersRef } from './refs';
@@ -0,0 +1,14 @@
+// Query helpers shared by the modules of a project, imported by the followHelpers tests
+import { getFirestore } from 'firebase-admin/firestore';
+
+const db = getFirestore();
+
+export const usersRef = db.collection('users');
+
+export function recentOrders(db, since) {
+  return db.collection('orders').where('createdAt', '>', since);
+}
+
+export const ordersBy = (db, field, value) => db.collection('orders').where(field, '==', value);
+
+export { usersRef as accountsRef };
@@ -0,0 +1,20 @@
+/**
+ * Queries scanned by the sync CLI tests
+ */
+
+const firestore = require('firebase-admin').firestore();
+
+// Covered by the existing users index
+firestore.collection('users').where('age', '>', 18).orderBy('name').get();
+
+// Missing: inequality + orderBy on different fields
+firestore.collection('products').where('price', '>', 100).orderBy('rating', 'desc').get();
+
+// Missing: same query shape again, only added once
+firestore.collection('products').where('price', '>', 50).orderBy('rating', 'desc').limit(10).get();
+
+// Missing: array-contains + orderBy
+firestore.collection('articles').where('tags', 'array-contains', 'firestore').orderBy('publishedAt', 'desc').get();
+
+// Index merging, no composite index needed
+firestore.collection('orders').where('customerId', '==', '123').orderBy('orderDate', 'desc').get();
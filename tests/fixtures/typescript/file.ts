@@ -0,0 +1,2 @@
+// Placeholder for the code of the type-aware tests
+export {};
@@ -0,0 +1,20 @@
+// Minimal typings of the admin SDK, enough for the type-aware tests
+declare module '@google-cloud/firestore' {
+  export type DocumentData = { [field: string]: any };
+
+  export class Query<T = DocumentData> {
+    where(fieldPath: string, opStr: string, value: unknown): Query<T>;
+    orderBy(fieldPath: string, directionStr?: 'asc' | 'desc'): Query<T>;
+    limit(limit: number): Query<T>;
+    get(): Promise<unknown>;
+  }
+
+  export class CollectionReference<T = DocumentData> extends Query<T> {}
+
+  export class CollectionGroup<T = DocumentData> extends Query<T> {}
+
+  export class Firestore {
+    collection(collectionPath: string): CollectionReference;
+    collectionGroup(collectionId: string): CollectionGroup;
+  }
+}
@@ -0,0 +1,242 @@
+/**
+ * @fileoverview Tests for valid-indexes-file rule and the indexes-json processor
+ * @author Q42
+ */
+'use strict';
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const { Linter, RuleTester } = require('eslint');
+const assert = require('assert');
+const plugin = require('../lib');
+const rule = require('../lib/rules/valid-indexes-file');
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+/**
+ * Build the code the indexes-json processor produces for an indexes file
+ * @param {Object} content - Indexes file content
+ * @returns {string}
+ */
+function indexesFile(content) {
+  return `(\n${JSON.stringify(content, null, 2)}\n)`;
+}
+
+/**
+ * Build a composite index definition
+ * @param {string} collection - Collection group
+ * @param {Array<string>} fields - Field paths, ascending
+ * @returns {Object}
+ */
+function index(collection, fields) {
+  return {
+    collectionGroup: collection,
+    queryScope: 'COLLECTION',
+    fields: fields.map(fieldPath => ({ fieldPath, order: 'ASCENDING' })),
+  };
+}
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+const ruleTester = new RuleTester({
+  languageOptions: {
+    ecmaVersion: 2020,
+    sourceType: 'script',
+  },
+});
+
+ruleTester.run('valid-indexes-file', rule, {
+  valid: [
+    // Valid: Indexes on different collections, scopes and fields
+    {
+      code: indexesFile({
+        indexes: [
+          index('users', ['age', 'name']),
+          index('posts', ['age', 'name']),
+          { ...index('users', ['age', 'name']), queryScope: 'COLLECTION_GROUP', density: 'SPARSE_ALL' },
+          {
+            collectionGroup: 'passports',
+            queryScope: 'COLLECTION',
+            fields: [
+              { fieldPath: 'owners', arrayConfig: 'CONTAINS' },
+              { fieldPath: 'updated', order: 'DESCENDING' },
+              { fieldPath: '__name__', order: 'DESCENDING' },
+            ],
+          },
+          {
+            collectionGroup: 'articles',
+            queryScope: 'COLLECTION',
+            fields: [{ fieldPath: 'embedding', vectorConfig: { dimension: 768, flat: {} } }],
+          },
+        ],
+        fieldOverrides: [
+          { collectionGroup: 'notes', fieldPath: 'body', indexes: [] },
+          { collectionGroup: 'notes', fieldPath: 'tags', indexes: [{ arrayConfig: 'CONTAINS', queryScope: 'COLLECTION_GROUP' }] },
+        ],
+      }),
+    },
+
+    // Valid: Index count below the warning threshold of the configured limit
+    {
+      code: indexesFile({ indexes: [index('users', ['age', 'name']), index('posts', ['status', 'createdAt'])] }),
+      options: [{ indexLimit: 3 }],
+    },
+  ],
+
+  invalid: [
+    // Invalid: Duplicate index
+    {
+      code: indexesFile({ indexes: [index('users', ['age', 'name']), index('users', ['age', 'name'])] }),
+      errors: [
+        {
+          messageId: 'duplicateIndex',
+          data: { collection: 'users', other: 1 },
+        },
+      ],
+    },
+
+    // Invalid: Index covered by a longer index with the same leading fields
+    {
+      code: indexesFile({ indexes: [index('users', ['age', 'name']), index('users', ['age', 'name', 'city'])] }),
+      errors: [
+        {
+          messageId: 'redundantIndex',
+          data: { collection: 'users', other: 2 },
+        },
+      ],
+    },
+
+    // Invalid: Field with both order and arrayConfig
+    {
+      code: indexesFile({
+        indexes: [{
+          collectionGroup: 'passports',
+          queryScope: 'COLLECTION',
+          fields: [
+            { fieldPath: 'owners', arrayConfig: 'CONTAINS', order: 'ASCENDING' },
+            { fieldPath: 'updated', order: 'DESCENDING' },
+          ],
+        }],
+      }),
+      errors: [
+        {
+          messageId: 'orderAndArrayConfig',
+          data: { field: 'owners' },
+        },
+      ],
+    },
+
+    // Invalid: Composite index with a single field, __name__ doesn't count
+    {
+      code: indexesFile({ indexes: [index('users', ['age', '__name__'])] }),
+      errors: [
+        {
+          messageId: 'singleFieldIndex',
+          data: { collection: 'users' },
+        },
+      ],
+    },
+
+    // Invalid: __name__ before another field
+    {
+      code: indexesFile({ indexes: [index('users', ['age', '__name__', 'name'])] }),
+      errors: [
+        {
+          messageId: 'nameNotLast',
+          line: 12,
+        },
+      ],
+    },
+
+    // Invalid: Unknown queryScope, density, order and arrayConfig values
+    {
+      code: indexesFile({
+        indexes: [{
+          collectionGroup: 'users',
+          queryScope: 'COLLECTIONGROUP',
+          density: 'SPARSE',
+          fields: [
+            { fieldPath: 'age', order: 'ASC' },
+            { fieldPath: 'tags', arrayConfig: 'CONTAINS_ANY' },
+          ],
+        }],
+        fieldOverrides: [
+          { collectionGroup: 'notes', fieldPath: 'body', indexes: [{ order: 'ASCENDING', queryScope: 'GROUP' }] },
+        ],
+      }),
+      errors: [
+        {
+          messageId: 'unknownValue',
+          data: { property: 'queryScope', value: 'COLLECTIONGROUP', expected: 'COLLECTION, COLLECTION_GROUP' },
+        },
+        {
+          messageId: 'unknownValue',
+          data: { property: 'density', value: 'SPARSE', expected: 'SPARSE_ALL, SPARSE_ANY, DENSE' },
+        },
+        {
+          messageId: 'unknownValue',
+          data: { property: 'order', value: 'ASC', expected: 'ASCENDING, DESCENDING' },
+        },
+        {
+          messageId: 'unknownValue',
+          data: { property: 'arrayConfig', value: 'CONTAINS_ANY', expected: 'CONTAINS' },
+        },
+        {
+          messageId: 'unknownValue',
+          data: { property: 'queryScope', value: 'GROUP', expected: 'COLLECTION, COLLECTION_GROUP' },
+        },
+      ],
+    },
+
+    // Invalid: Index count close to the limit
+    {
+      code: indexesFile({ indexes: [index('users', ['age', 'name']), index('posts', ['status', 'createdAt'])] }),
+      options: [{ indexLimit: 2 }],
+      errors: [
+        {
+          messageId: 'nearIndexLimit',
+          data: { count: 2, limit: 2 },
+        },
+      ],
+    },
+
+    // Invalid: Index count over the limit
+    {
+      code: indexesFile({ indexes: [index('users', ['age', 'name']), index('posts', ['status', 'createdAt'])] }),
+      options: [{ indexLimit: 1 }],
+      errors: [
+        {
+          messageId: 'tooManyIndexes',
+          data: { count: 2, limit: 1 },
+        },
+      ],
+    },
+  ],
+});
+
+describe('indexes-json processor', function() {
+  it('reports problems at their location in the JSON file', function() {
+    const linter = new Linter({ configType: 'flat' });
+    const content = JSON.stringify({ indexes: [index('users', ['age', 'name']), index('users', ['age', 'name'])] }, null, 2);
+
+    const messages = linter.verify(content, [
+      {
+        files: ['**/*.json'],
+        plugins: { 'firestore-indexes': plugin },
+        processor: 'firestore-indexes/indexes-json',
+        rules: { 'firestore-indexes/valid-indexes-file': 'error' },
+      },
+    ], 'firestore.indexes.json');
+
+    assert.deepStrictEqual(messages.map(({ ruleId, line, column }) => ({ ruleId, line, column })), [
+      { ruleId: 'firestore-indexes/valid-indexes-file', line: 17, column: 5 },
+    ]);
+    assert.strictEqual(content.split('\n')[16].trim(), '{');
+  });
+});